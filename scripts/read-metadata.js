@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+/**
+ * 读取已保存图片中写入的生成信息
+ * 用法：npm run metadata -- <图片路径...>
+ */
+import fs from "node:fs/promises";
+import process from "node:process";
+import { readMetadata } from "../src/metadata.js";
+
+const files = process.argv.slice(2);
+if (files.length === 0) {
+  console.error("用法：npm run metadata -- <图片路径...>");
+  process.exit(1);
+}
+
+let exitCode = 0;
+for (const file of files) {
+  try {
+    const metadata = readMetadata(await fs.readFile(file));
+    if (!metadata) {
+      console.log(`${file}: 未找到生成信息`);
+      exitCode = 1;
+      continue;
+    }
+    console.log(`${file}:`);
+    console.log(JSON.stringify(metadata, null, 2));
+  } catch (err) {
+    console.error(`${file}: 读取失败 - ${err.message}`);
+    exitCode = 1;
+  }
+}
+process.exit(exitCode);
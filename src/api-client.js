@@ -1,7 +1,7 @@
 /**
  * API 客户端模块 - 封装各种图片生成 API 调用
  */
-import { config } from "./config.js";
+import { config, DEFAULTS } from "./config.js";
 import {
   debugLog,
   normalizeBaseUrl,
@@ -12,8 +12,19 @@ import {
   stripDataUrlPrefix,
   clampInt,
   parseIntOr,
+  sleep,
+  throwIfCancelled,
+  formatImageLabel,
+  extFromMime,
+  truncate,
+  detectImageMime,
   HttpError,
+  CancelledError,
+  ContentBlockedError,
 } from "./utils.js";
+import { getVertexAccessToken, invalidateVertexAccessToken } from "./vertex-auth.js";
+import { getModeCacheKey, getCachedMode, setCachedMode, clearCachedMode } from "./mode-cache.js";
+import { parseHistoryStrategy, applyHistoryStrategy } from "./history.js";
 
 /**
  * @typedef {Object} ImageResult
@@ -21,24 +32,76 @@ import {
  * @property {string} mimeType - MIME 类型
  */
 
+/**
+ * @typedef {Object} InputImage
+ * @property {string} base64 - Base64 编码的图片数据
+ * @property {string} mimeType - MIME 类型
+ * @property {string} [label] - 图片标注（可选，随图片一起发送给模型）
+ */
+
+/**
+ * @typedef {Object} VertexOptions
+ * @property {string} [project] - GCP 项目 ID，默认取服务账号密钥中的 project_id
+ * @property {string} [location] - 区域，默认 global
+ * @property {string} [credentialsFile] - 服务账号 JSON 密钥路径
+ * @property {string} [tokenUrl] - OAuth token 端点，默认取密钥中的 token_uri
+ * @property {string} [baseUrl] - Vertex AI API 地址，默认按区域推导
+ */
+
 /**
  * @typedef {Object} GenerateParams
  * @property {string} baseUrl - API 基础 URL
  * @property {string} apiKey - API 密钥
  * @property {string} model - 模型名称
+ * @property {string} [mode] - API 模式，未指定时使用 OPENAI_IMAGE_MODE
+ * @property {VertexOptions} [vertex] - Vertex AI 配置（仅 vertex 模式）
+ * @property {boolean} [stream] - gemini / vertex 模式下使用 streamGenerateContent（SSE）
  * @property {string} prompt - 图片描述
  * @property {string} size - 图片尺寸
  * @property {number} n - 生成数量
  * @property {number} timeoutMs - 超时时间
  * @property {Array} [historyMessages] - 历史消息
- * @property {ImageResult | null} [inputImage] - 输入图片
+ * @property {import("./history.js").HistoryStrategy} [history] - 历史回放策略，未指定时使用 OPENAI_IMAGE_HISTORY
+ * @property {InputImage[]} [inputImages] - 输入图片（参考图）
+ * @property {ImageResult | null} [mask] - 遮罩图片（PNG，透明区域为待编辑区域，仅 images/edits 使用）
+ * @property {string | null} [format] - 期望的输出格式（png | jpeg | webp），支持的上游直接按此格式返回
+ * @property {number} [quality] - JPEG / WebP 质量（1-100）
+ * @property {(message: string) => void} [onProgress] - 进度回调
+ * @property {AbortSignal} [signal] - 取消信号（客户端取消时中止上游请求）
+ */
+
+/**
+ * @typedef {Object} BlockInfo
+ * @property {string} category - 拦截类别（见 ContentBlockedError）
+ * @property {string} reason - 上游原始原因代码（如 SAFETY、IMAGE_SAFETY、content_filter）
+ * @property {Array<{category: string, probability: string, blocked?: boolean}>} safetyRatings - 相关安全评级
+ */
+
+/**
+ * @typedef {Object} BackendResult
+ * @property {ImageResult[]} images - 图片
+ * @property {string[]} texts - 模型返回的文本（说明、澄清问题、拒绝原因等）
+ * @property {BlockInfo | null} [block] - 安全拦截信息
+ * @property {Object | null} [usage] - 上游返回的用量统计（原样保留字段名）
+ * @property {Object[] | null} [modelParts] - Gemini 原生响应中模型回复的原始 parts（含 thoughtSignature，仅 gemini / vertex 模式）
+ */
+
+/**
+ * @typedef {Object} GenerateResult
+ * @property {ImageResult[]} images - 成功生成的图片
+ * @property {string[]} texts - 模型返回的文本（已去重）
+ * @property {string[]} errors - 单张图片的失败信息（部分失败时非空）
+ * @property {string[]} retries - 上游重试记录
+ * @property {Object | null} usage - 上游用量统计（n>1 时按字段累加）
+ * @property {Array<Object[] | null>} modelParts - 每张图片对应请求的原始模型 parts（与 images 对齐；只有文本时为第一次请求的 parts）
+ * @property {string} mode - 实际使用的 API 模式（auto 模式下为最终成功的模式）
  */
 
 // ============ OpenAI Images API ============
 /**
  * 通过 OpenAI images/generations API 生成图片
  * @param {GenerateParams} params
- * @returns {Promise<ImageResult[]>}
+ * @returns {Promise<BackendResult>}
  */
 export async function generateImagesViaImagesApi({
   baseUrl,
@@ -48,10 +111,19 @@ export async function generateImagesViaImagesApi({
   size,
   n,
   timeoutMs,
+  inputImages = [],
+  format = null,
+  quality,
+  onProgress,
+  signal,
 }) {
   const v1BaseUrl = toV1BaseUrl(baseUrl);
   const url = `${v1BaseUrl}/images/generations`;
 
+  if (inputImages.length > 0) {
+    debugLog(`[upstream] images/generations 不支持输入图片，已忽略 ${inputImages.length} 张参考图（请使用 images/edits）`);
+  }
+
   const headers = { "content-type": "application/json" };
   if (apiKey) headers.authorization = `Bearer ${apiKey}`;
 
@@ -61,49 +133,146 @@ export async function generateImagesViaImagesApi({
     size,
     n,
     response_format: "b64_json",
+    ...buildOutputFormatFields(model, format, quality),
   };
 
   debugLog(
     `[upstream] POST ${url} (images/generations) model=${model} size=${size} n=${n} hasApiKey=${Boolean(apiKey)}`
   );
+  onProgress?.(`已发送生成请求（images/generations，${n} 张）`);
 
   const res = await fetchWithTimeout(
     url,
-    { method: "POST", headers, body: JSON.stringify(body) },
+    { method: "POST", headers, body: JSON.stringify(body), signal },
     timeoutMs
   );
 
   if (!res.ok) {
     const text = await res.text().catch(() => "");
+    throwIfOpenAIPolicyViolation(res.status, text);
     const hint = res.status === 401 ? "（看起来需要 API Key，请设置 OPENAI_API_KEY）" : "";
     throw new HttpError(`图片生成失败: HTTP ${res.status}${hint} ${text}`, {
       status: res.status,
       url,
       body: text,
+      retryAfter: res.headers.get("retry-after"),
     });
   }
 
   const json = await res.json();
-  const data = Array.isArray(json?.data) ? json.data : [];
+  const result = await parseImagesApiResponse(json, timeoutMs, signal);
 
-  /** @type {ImageResult[]} */
-  const images = [];
-  for (const item of data) {
-    if (typeof item?.b64_json === "string" && item.b64_json.trim()) {
-      const parsed = parseDataUrl(item.b64_json);
-      images.push({
-        base64: stripDataUrlPrefix(item.b64_json),
-        mimeType: parsed?.mimeType ?? "image/png",
-      });
-      continue;
-    }
-    if (typeof item?.url === "string" && item.url.trim()) {
-      images.push(await fetchUrlAsBase64(item.url, timeoutMs));
-    }
+  if (result.images.length === 0) throw new Error("接口未返回可用的图片数据");
+  return result;
+}
+
+/**
+ * 通过 OpenAI images/edits API 编辑图片（multipart/form-data，支持遮罩）
+ * @param {GenerateParams} params
+ * @returns {Promise<BackendResult>}
+ */
+export async function generateImagesViaImagesEditApi({
+  baseUrl,
+  apiKey,
+  model,
+  prompt,
+  size,
+  n,
+  timeoutMs,
+  inputImages = [],
+  mask = null,
+  format = null,
+  quality,
+  onProgress,
+  signal,
+}) {
+  const v1BaseUrl = toV1BaseUrl(baseUrl);
+  const url = `${v1BaseUrl}/images/edits`;
+
+  const validImages = inputImages.filter((img) => img?.base64);
+  if (validImages.length === 0) {
+    throw new Error("images/edits 需要至少一张输入图片");
+  }
+
+  // 不手动设置 content-type，由 fetch 根据 FormData 生成 boundary
+  const headers = {};
+  if (apiKey) headers.authorization = `Bearer ${apiKey}`;
+
+  const form = new FormData();
+  form.append("model", model);
+  form.append("prompt", prompt);
+  form.append("size", size);
+  form.append("n", String(n));
+  form.append("response_format", "b64_json");
+  for (const [key, value] of Object.entries(buildOutputFormatFields(model, format, quality))) {
+    form.append(key, String(value));
   }
 
-  if (images.length === 0) throw new Error("接口未返回可用的图片数据");
-  return images;
+  // 单图使用 image 字段；多图使用 image[]（gpt-image 系列支持）
+  const imageField = validImages.length > 1 ? "image[]" : "image";
+  validImages.forEach((img, i) => {
+    const mimeType = img.mimeType || "image/png";
+    form.append(imageField, toBlob(img.base64, mimeType), `image-${i + 1}.${extFromMime(mimeType)}`);
+  });
+  if (mask?.base64) {
+    form.append("mask", toBlob(mask.base64, "image/png"), "mask.png");
+  }
+
+  debugLog(
+    `[upstream] POST ${url} (images/edits) model=${model} size=${size} n=${n} inputImages=${validImages.length} hasMask=${Boolean(mask)} hasApiKey=${Boolean(apiKey)}`
+  );
+  onProgress?.(`已发送编辑请求（images/edits，${n} 张）`);
+
+  const res = await fetchWithTimeout(url, { method: "POST", headers, body: form, signal }, timeoutMs);
+
+  if (!res.ok) {
+    const text = await res.text().catch(() => "");
+    throwIfOpenAIPolicyViolation(res.status, text);
+    const hint = res.status === 401 ? "（看起来需要 API Key，请设置 OPENAI_API_KEY）" : "";
+    throw new HttpError(`图片编辑失败: HTTP ${res.status}${hint} ${text}`, {
+      status: res.status,
+      url,
+      body: text,
+      retryAfter: res.headers.get("retry-after"),
+    });
+  }
+
+  const json = await res.json();
+  const result = await parseImagesApiResponse(json, timeoutMs, signal);
+
+  if (result.images.length === 0) throw new Error("接口未返回可用的图片数据");
+  return result;
+}
+
+/**
+ * gpt-image 系列支持直接指定输出格式，省去本地转换
+ * @param {string} model
+ * @param {string | null} format - png | jpeg | webp
+ * @param {number} [quality] - 1-100，映射为 output_compression（仅 JPEG / WebP）
+ * @returns {Object}
+ */
+function buildOutputFormatFields(model, format, quality) {
+  if (!format || !/^gpt-image/i.test(String(model ?? ""))) return {};
+  const fields = { output_format: format };
+  if (format !== "png" && Number.isFinite(quality)) fields.output_compression = quality;
+  return fields;
+}
+
+/**
+ * base64 转 Blob（用于 multipart 上传）
+ */
+function toBlob(base64, mimeType) {
+  return new Blob([Buffer.from(base64, "base64")], { type: mimeType });
+}
+
+/**
+ * 根据是否有输入图片，选择 images/edits 或 images/generations
+ * @param {GenerateParams} params
+ * @returns {Promise<BackendResult>}
+ */
+function generateViaImagesEndpoint(params) {
+  const hasInputImage = (params.inputImages ?? []).some((img) => img?.base64);
+  return hasInputImage ? generateImagesViaImagesEditApi(params) : generateImagesViaImagesApi(params);
 }
 
 // ============ Gemini Native API ============
@@ -139,28 +308,107 @@ function sizeToAspectRatio(size) {
 /**
  * 通过 Gemini 原生 API (generateContent) 生成图片
  * @param {GenerateParams} params
- * @returns {Promise<ImageResult[]>}
+ * @returns {Promise<BackendResult>}
  */
-export async function generateImagesViaGeminiNative({
-  baseUrl,
-  apiKey,
-  model,
-  prompt,
-  size,
-  timeoutMs,
-  historyMessages = [],
-  inputImage = null,
-}) {
+export async function generateImagesViaGeminiNative(params) {
+  const { baseUrl, apiKey, model, stream } = params;
   const normalizedBase = normalizeBaseUrl(baseUrl).replace(/\/+$/, "");
-  const url = `${normalizedBase}/models/${model}:generateContent?key=${apiKey}`;
+  const method = stream ? "streamGenerateContent?alt=sse&" : "generateContent?";
+  const url = `${normalizedBase}/models/${model}:${method}key=${apiKey}`;
 
-  const headers = { "content-type": "application/json" };
+  return await postGenerateContent(params, {
+    url,
+    displayUrl: url.replace(/key=[^&]+/, "key=***"),
+    headers: {},
+    label: "Gemini 原生 API",
+    authHint: "（API Key 无效或无权限，请检查 GEMINI_API_KEY）",
+  });
+}
+
+/**
+ * 通过 Vertex AI (publishers/google/models/*:generateContent) 生成图片
+ * 使用服务账号签发的 OAuth access token 鉴权，请求与响应格式同 Gemini 原生 API
+ * @param {GenerateParams} params
+ * @returns {Promise<BackendResult>}
+ */
+export async function generateImagesViaVertex(params) {
+  const { model, timeoutMs, signal, stream } = params;
+  const vertex = params.vertex ?? {};
+  const { accessToken, projectId } = await getVertexAccessToken({
+    credentialsFile: vertex.credentialsFile,
+    tokenUrl: vertex.tokenUrl,
+    timeoutMs,
+    signal,
+  });
+
+  const project = vertex.project || projectId;
+  if (!project) {
+    throw new Error("Vertex AI 模式需要 project，请设置 VERTEX_PROJECT 或在服务账号密钥中提供 project_id");
+  }
+  const location = vertex.location || "global";
+  const url = `${buildVertexBaseUrl(vertex.baseUrl, location)}/v1/projects/${project}/locations/${location}/publishers/google/models/${model}:${stream ? "streamGenerateContent?alt=sse" : "generateContent"}`;
+
+  try {
+    return await postGenerateContent(params, {
+      url,
+      displayUrl: url,
+      headers: { authorization: `Bearer ${accessToken}` },
+      label: "Vertex AI",
+      authHint: "（服务账号无权限，请确认已授予 Vertex AI User 角色并启用 Vertex AI API）",
+    });
+  } catch (err) {
+    // token 被吊销或提前过期，下次请求重新签发
+    if (err instanceof HttpError && err.status === 401) invalidateVertexAccessToken(vertex);
+    throw err;
+  }
+}
+
+/**
+ * 获取 Vertex AI 的 API 地址（global 区域没有区域前缀）
+ */
+function buildVertexBaseUrl(baseUrl, location) {
+  if (baseUrl) return normalizeBaseUrl(baseUrl);
+  return location === "global"
+    ? "https://aiplatform.googleapis.com"
+    : `https://${location}-aiplatform.googleapis.com`;
+}
+
+/**
+ * 发送 generateContent 请求（Gemini 原生 API 与 Vertex AI 共用）
+ * @param {GenerateParams} params
+ * @param {Object} endpoint
+ * @param {string} endpoint.url - 请求地址
+ * @param {string} endpoint.displayUrl - 用于日志和错误信息的地址（已隐藏密钥）
+ * @param {Object} endpoint.headers - 额外请求头（鉴权）
+ * @param {string} endpoint.label - 日志中的接口名称
+ * @param {string} endpoint.authHint - 401/403 时的提示
+ * @returns {Promise<BackendResult>}
+ */
+async function postGenerateContent(
+  {
+    model,
+    prompt,
+    size,
+    timeoutMs,
+    historyMessages = [],
+    inputImages = [],
+    onProgress,
+    signal,
+    stream = false,
+  },
+  { url, displayUrl, headers: authHeaders, label, authHint }
+) {
+  const headers = { "content-type": "application/json", ...authHeaders };
 
   // 构建 Gemini 原生格式的 contents
   const contents = [];
 
-  // 添加历史消息
+  // 添加历史消息（助手消息保存了原始 parts 时原样回放，保留 thoughtSignature）
   for (const msg of historyMessages) {
+    if (msg.role === "assistant" && Array.isArray(msg.geminiParts)) {
+      contents.push({ role: "model", parts: msg.geminiParts });
+      continue;
+    }
     contents.push({
       role: msg.role === "assistant" ? "model" : "user",
       parts: Array.isArray(msg.content)
@@ -180,14 +428,16 @@ export async function generateImagesViaGeminiNative({
 
   // 构建当前用户消息
   const currentParts = [{ text: prompt }];
-  if (inputImage?.base64) {
+  inputImages.forEach((img, i) => {
+    if (!img?.base64) return;
+    if (img.label) currentParts.push({ text: formatImageLabel(img.label, i) });
     currentParts.push({
       inline_data: {
-        data: inputImage.base64,
-        mime_type: inputImage.mimeType || "image/png",
+        data: img.base64,
+        mime_type: img.mimeType || "image/png",
       },
     });
-  }
+  });
   contents.push({ role: "user", parts: currentParts });
 
   const aspectRatio = sizeToAspectRatio(size);
@@ -201,48 +451,48 @@ export async function generateImagesViaGeminiNative({
   };
 
   debugLog(
-    `[upstream] POST ${url.replace(/key=[^&]+/, "key=***")} (Gemini native) model=${model} aspectRatio=${aspectRatio} historyLen=${historyMessages.length} hasInputImage=${Boolean(inputImage)}`
+    `[upstream] POST ${displayUrl} (${label}) model=${model} aspectRatio=${aspectRatio} historyLen=${historyMessages.length} inputImages=${inputImages.length} stream=${stream}`
   );
+  onProgress?.(`已发送生成请求（${label}）`);
 
   const res = await fetchWithTimeout(
     url,
-    { method: "POST", headers, body: JSON.stringify(body) },
+    { method: "POST", headers, body: JSON.stringify(body), signal },
     timeoutMs
   );
 
   if (!res.ok) {
     const text = await res.text().catch(() => "");
-    const hint =
-      res.status === 401 || res.status === 403
-        ? "（API Key 无效或无权限，请检查 GEMINI_API_KEY）"
-        : "";
+    const hint = res.status === 401 || res.status === 403 ? authHint : "";
     throw new HttpError(`图片生成失败: HTTP ${res.status}${hint} ${text}`, {
       status: res.status,
-      url: url.replace(/key=[^&]+/, "key=***"),
+      url: displayUrl,
       body: text,
+      retryAfter: res.headers.get("retry-after"),
     });
   }
 
-  const json = await res.json();
-  const images = parseGeminiResponse(json);
+  const json = stream ? await readGeminiStream(res, { onProgress, signal, timeoutMs }) : await res.json();
+  const result = parseGeminiResponse(json);
+  throwIfBlocked(result);
 
-  if (images.length === 0) {
+  if (result.images.length === 0 && result.texts.length === 0) {
     const debugInfo = config.isDebugEnabled
       ? `\n响应结构: ${JSON.stringify(json, null, 2).slice(0, 500)}`
       : "";
     throw new Error(
-      `Gemini 原生 API 未返回图片数据。请确保使用支持图片生成的模型（如 gemini-2.5-flash-image 或 gemini-3-pro-image-preview）${debugInfo}`
+      `${label} 未返回图片数据。请确保使用支持图片生成的模型（如 gemini-2.5-flash-image 或 gemini-3-pro-image-preview）${debugInfo}`
     );
   }
 
-  return images;
+  return result;
 }
 
 // ============ Chat Completions API ============
 /**
  * 通过 chat/completions API 生成图片
  * @param {GenerateParams} params
- * @returns {Promise<ImageResult[]>}
+ * @returns {Promise<BackendResult>}
  */
 export async function generateImagesViaChatCompletions({
   baseUrl,
@@ -252,7 +502,9 @@ export async function generateImagesViaChatCompletions({
   size,
   timeoutMs,
   historyMessages = [],
-  inputImage = null,
+  inputImages = [],
+  onProgress,
+  signal,
 }) {
   const v1BaseUrl = toV1BaseUrl(baseUrl);
   const url = `${v1BaseUrl}/chat/completions`;
@@ -262,21 +514,27 @@ export async function generateImagesViaChatCompletions({
 
   // 构建当前用户消息内容
   let currentUserContent;
-  if (inputImage?.base64) {
-    currentUserContent = [
-      { type: "text", text: prompt },
-      {
+  const validImages = inputImages.filter((img) => img?.base64);
+  if (validImages.length > 0) {
+    currentUserContent = [{ type: "text", text: prompt }];
+    validImages.forEach((img, i) => {
+      if (img.label) currentUserContent.push({ type: "text", text: formatImageLabel(img.label, i) });
+      currentUserContent.push({
         type: "image_url",
         image_url: {
-          url: `data:${inputImage.mimeType || "image/png"};base64,${inputImage.base64}`,
+          url: `data:${img.mimeType || "image/png"};base64,${img.base64}`,
         },
-      },
-    ];
+      });
+    });
   } else {
     currentUserContent = prompt;
   }
 
-  const messages = [...historyMessages, { role: "user", content: currentUserContent }];
+  // 只发送 OpenAI 格式的字段（不发送保存的 Gemini 原始 parts）
+  const messages = [
+    ...historyMessages.map(({ role, content }) => ({ role, content })),
+    { role: "user", content: currentUserContent },
+  ];
 
   const body = {
     model,
@@ -293,12 +551,13 @@ export async function generateImagesViaChatCompletions({
   };
 
   debugLog(
-    `[upstream] POST ${url} (chat/completions) model=${model} image_config.image_size=${size} hasApiKey=${Boolean(apiKey)} historyLen=${historyMessages.length} hasInputImage=${Boolean(inputImage)}`
+    `[upstream] POST ${url} (chat/completions) model=${model} image_config.image_size=${size} hasApiKey=${Boolean(apiKey)} historyLen=${historyMessages.length} inputImages=${validImages.length}`
   );
+  onProgress?.("已发送生成请求（chat/completions）");
 
   const res = await fetchWithTimeout(
     url,
-    { method: "POST", headers, body: JSON.stringify(body) },
+    { method: "POST", headers, body: JSON.stringify(body), signal },
     timeoutMs
   );
 
@@ -309,13 +568,15 @@ export async function generateImagesViaChatCompletions({
       status: res.status,
       url,
       body: text,
+      retryAfter: res.headers.get("retry-after"),
     });
   }
 
   const json = await res.json();
-  const images = await parseOpenAICompatibleResponse(json, timeoutMs);
+  const result = await parseOpenAICompatibleResponse(json, timeoutMs, signal);
+  throwIfBlocked(result);
 
-  if (images.length === 0) {
+  if (result.images.length === 0 && result.texts.length === 0) {
     const debugInfo = config.isDebugEnabled
       ? `\n响应结构: ${JSON.stringify(Object.keys(json || {}))}`
       : "";
@@ -324,23 +585,209 @@ export async function generateImagesViaChatCompletions({
     );
   }
 
-  return images;
+  return result;
 }
 
 // ============ 响应解析器 ============
 /**
- * 解析 Gemini 原生 API 响应
+ * 解析 OpenAI images API 响应（generations / edits 通用）
  * @param {Object} json - API 响应
- * @returns {ImageResult[]}
+ * @param {number} timeoutMs - 超时时间
+ * @param {AbortSignal} [signal] - 取消信号
+ * @returns {Promise<BackendResult>}
+ */
+async function parseImagesApiResponse(json, timeoutMs, signal) {
+  const data = Array.isArray(json?.data) ? json.data : [];
+
+  /** @type {ImageResult[]} */
+  const images = [];
+  /** @type {string[]} */
+  const texts = [];
+  for (const item of data) {
+    // dall-e-3 会返回改写后的 prompt
+    if (typeof item?.revised_prompt === "string" && item.revised_prompt.trim()) {
+      texts.push(`改写后的 prompt: ${item.revised_prompt.trim()}`);
+    }
+    if (typeof item?.b64_json === "string" && item.b64_json.trim()) {
+      const parsed = parseDataUrl(item.b64_json);
+      const base64 = stripDataUrlPrefix(item.b64_json);
+      // gpt-image 指定 output_format 时返回的是裸 base64，按内容识别格式
+      images.push({
+        base64,
+        mimeType: parsed?.mimeType ?? detectImageMime(Buffer.from(base64.slice(0, 64), "base64")) ?? "image/png",
+      });
+      continue;
+    }
+    if (typeof item?.url === "string" && item.url.trim()) {
+      images.push(await fetchUrlAsBase64(item.url, timeoutMs, signal));
+    }
+  }
+  return { images, texts, usage: json?.usage ?? null };
+}
+
+/**
+ * 增量读取 streamGenerateContent 的 SSE 响应
+ * 文本片段和完整图片到达时通过进度回调转发，返回所有数据块
+ * fetchWithTimeout 在收到响应头后就不再计时，而流式响应的生成过程都在响应体中，
+ * 因此读取响应体时单独计时并监听取消信号，超时或取消时中止读取
+ * @param {Response} res
+ * @param {Object} options
+ * @param {(message: string) => void} [options.onProgress]
+ * @param {AbortSignal} [options.signal]
+ * @param {number} options.timeoutMs - 读取响应体的超时时间
+ * @returns {Promise<Object[]>} 数据块列表（交给 parseGeminiResponse 合并）
+ */
+async function readGeminiStream(res, { onProgress, signal, timeoutMs }) {
+  const chunks = [];
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let imageCount = 0;
+
+  const handleEvent = (rawEvent) => {
+    const data = rawEvent
+      .split(/\r?\n/)
+      .filter((line) => line.startsWith("data:"))
+      .map((line) => line.slice(5).trimStart())
+      .join("\n");
+    if (!data || data === "[DONE]") return;
+
+    let chunk;
+    try {
+      chunk = JSON.parse(data);
+    } catch {
+      debugLog(`[upstream] 无法解析 SSE 数据块: ${data.slice(0, 200)}`);
+      return;
+    }
+    chunks.push(chunk);
+
+    for (const candidate of chunk?.candidates ?? []) {
+      for (const part of candidate?.content?.parts ?? []) {
+        if (typeof part?.text === "string" && part.text.trim() && !part.thought) {
+          debugLog(`[upstream] 模型文本: ${part.text}`);
+          onProgress?.(`模型: ${part.text.trim()}`);
+        } else if (part?.inlineData?.data || part?.inline_data?.data) {
+          imageCount += 1;
+          onProgress?.(`已收到第 ${imageCount} 张图片数据`);
+        }
+      }
+    }
+  };
+
+  // 超时或取消时取消读取，挂起的 read() 会立即返回
+  const reader = res.body.getReader();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    reader.cancel().catch(() => {});
+  }, timeoutMs);
+  const onCancel = () => reader.cancel().catch(() => {});
+  signal?.addEventListener("abort", onCancel, { once: true });
+
+  // 事件分隔符的查找从上次未扫描的位置开始（回退 3 个字符以覆盖跨块的 \r\n\r\n），
+  // 避免大图片事件在多次读取时反复扫描整个缓冲区
+  const boundaryPattern = /\r?\n\r?\n/g;
+  let scanFrom = 0;
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      throwIfCancelled(signal);
+      if (timedOut) {
+        throw new Error(`读取流式响应超时（${Math.round(timeoutMs / 1000)}秒），请检查网络或增加 OPENAI_TIMEOUT_MS`);
+      }
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      boundaryPattern.lastIndex = Math.max(0, scanFrom - 3);
+      let eventStart = 0;
+      let match;
+      while ((match = boundaryPattern.exec(buffer)) !== null) {
+        handleEvent(buffer.slice(eventStart, match.index));
+        eventStart = match.index + match[0].length;
+      }
+      if (eventStart > 0) buffer = buffer.slice(eventStart);
+      scanFrom = buffer.length;
+    }
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onCancel);
+  }
+  buffer += decoder.decode();
+  if (buffer.trim()) handleEvent(buffer);
+
+  debugLog(`[upstream] SSE 流结束，共 ${chunks.length} 个数据块`);
+  return chunks;
+}
+
+/**
+ * 合并流式响应的数据块：同一 index 的候选拼接 parts，相邻文本片段合并；
+ * finishReason / safetyRatings / promptFeedback / usageMetadata 取最后出现的值
+ * @param {Object[]} chunks
+ * @returns {Object} 与 generateContent 非流式响应结构相同
+ */
+function mergeGeminiChunks(chunks) {
+  const merged = { candidates: [] };
+
+  for (const chunk of chunks) {
+    if (chunk?.promptFeedback) merged.promptFeedback = chunk.promptFeedback;
+    if (chunk?.usageMetadata) merged.usageMetadata = chunk.usageMetadata;
+
+    (chunk?.candidates ?? []).forEach((candidate, i) => {
+      const index = candidate?.index ?? i;
+      const target = (merged.candidates[index] ??= { index, content: { role: "model", parts: [] } });
+      const { content, ...rest } = candidate;
+      Object.assign(target, rest);
+
+      for (const part of content?.parts ?? []) {
+        const last = target.content.parts[target.content.parts.length - 1];
+        if (canMergeTextParts(last, part)) {
+          last.text += part.text;
+        } else {
+          target.content.parts.push({ ...part });
+        }
+      }
+    });
+  }
+
+  merged.candidates = merged.candidates.filter(Boolean);
+  return merged;
+}
+
+/**
+ * 两个文本片段是否可以合并（带 thoughtSignature 的片段需原样保留）
+ */
+function canMergeTextParts(a, b) {
+  return (
+    typeof a?.text === "string" &&
+    typeof b?.text === "string" &&
+    !a.thoughtSignature &&
+    !b.thoughtSignature &&
+    Boolean(a.thought) === Boolean(b.thought)
+  );
+}
+
+/**
+ * 解析 Gemini 原生 API 响应
+ * @param {Object | Object[]} json - API 响应；流式响应传入数据块数组，会先合并
+ * @returns {BackendResult}
  */
 function parseGeminiResponse(json) {
+  if (Array.isArray(json)) json = mergeGeminiChunks(json);
+  const block = detectGeminiBlock(json);
+
   /** @type {ImageResult[]} */
   const images = [];
+  /** @type {string[]} */
+  const texts = [];
   const candidates = Array.isArray(json?.candidates) ? json.candidates : [];
 
   for (const candidate of candidates) {
     const parts = Array.isArray(candidate?.content?.parts) ? candidate.content.parts : [];
     for (const part of parts) {
+      // 文本片段（跳过思考过程）
+      if (typeof part?.text === "string" && part.text.trim() && !part.thought) {
+        texts.push(part.text.trim());
+        continue;
+      }
       // Gemini API 使用 camelCase
       if (part?.inlineData?.data) {
         images.push({
@@ -357,31 +804,46 @@ function parseGeminiResponse(json) {
     }
   }
 
-  return images;
+  // 原样保留模型回复的 parts（多候选时取第一个），下一轮按原样回放
+  const modelParts = Array.isArray(candidates[0]?.content?.parts) ? candidates[0].content.parts : null;
+
+  return { images, texts, block, usage: json?.usageMetadata ?? null, modelParts };
 }
 
 /**
  * 解析 OpenAI 兼容格式响应
  * @param {Object} json - API 响应
  * @param {number} timeoutMs - 超时时间
- * @returns {Promise<ImageResult[]>}
+ * @param {AbortSignal} [signal] - 取消信号
+ * @returns {Promise<BackendResult>}
  */
-async function parseOpenAICompatibleResponse(json, timeoutMs) {
-  /** @type {ImageResult[]} */
-  const images = [];
-
+async function parseOpenAICompatibleResponse(json, timeoutMs, signal) {
   // 格式 1: Gemini 原生 API (generateContent 响应)
-  images.push(...parseGeminiResponse(json));
+  const gemini = parseGeminiResponse(json);
+  const { images, texts } = gemini;
+  let { block } = gemini;
+  const usage = json?.usage ?? gemini.usage;
 
   // 格式 2-4: OpenAI 兼容格式
   const choices = Array.isArray(json?.choices) ? json.choices : [];
   for (const choice of choices) {
+    if (choice?.finish_reason === "content_filter" && !block) {
+      block = { category: "content_filter", reason: "content_filter", safetyRatings: [] };
+    }
+
     const message = choice?.message;
     if (!message) continue;
 
     const content = message.content;
+    if (typeof content === "string" && content.trim()) {
+      texts.push(content.trim());
+    }
     if (Array.isArray(content)) {
       for (const item of content) {
+        if (item?.type === "text" && typeof item.text === "string" && item.text.trim()) {
+          texts.push(item.text.trim());
+          continue;
+        }
         // Gemini 格式
         if (item?.inline_data?.data) {
           images.push({
@@ -396,7 +858,7 @@ async function parseOpenAICompatibleResponse(json, timeoutMs) {
           if (parsed) {
             images.push({ base64: parsed.base64, mimeType: parsed.mimeType });
           } else if (item.image_url.url.startsWith("http")) {
-            images.push(await fetchUrlAsBase64(item.image_url.url, timeoutMs));
+            images.push(await fetchUrlAsBase64(item.image_url.url, timeoutMs, signal));
           }
         }
       }
@@ -415,71 +877,362 @@ async function parseOpenAICompatibleResponse(json, timeoutMs) {
           continue;
         }
         if (imageUrl.startsWith("http")) {
-          images.push(await fetchUrlAsBase64(imageUrl, timeoutMs));
+          images.push(await fetchUrlAsBase64(imageUrl, timeoutMs, signal));
         }
       }
     }
   }
 
-  return images;
+  return { images, texts, block, usage };
+}
+
+// ============ 安全拦截 ============
+/** Gemini finishReason 到拦截类别的映射 */
+const BLOCKING_FINISH_REASONS = {
+  SAFETY: "safety",
+  PROHIBITED_CONTENT: "prohibited_content",
+  IMAGE_PROHIBITED_CONTENT: "prohibited_content",
+  IMAGE_SAFETY: "image_safety",
+  RECITATION: "recitation",
+  IMAGE_RECITATION: "recitation",
+  BLOCKLIST: "blocklist",
+  SPII: "spii",
+};
+
+/**
+ * 从 Gemini 响应中识别安全拦截（promptFeedback.blockReason 或候选的 finishReason）
+ * @param {Object} json
+ * @returns {BlockInfo | null}
+ */
+function detectGeminiBlock(json) {
+  const feedback = json?.promptFeedback;
+  if (feedback?.blockReason) {
+    return {
+      category: "prompt_blocked",
+      reason: feedback.blockReason,
+      safetyRatings: flaggedRatings(feedback.safetyRatings),
+    };
+  }
+
+  for (const candidate of Array.isArray(json?.candidates) ? json.candidates : []) {
+    const category = BLOCKING_FINISH_REASONS[candidate?.finishReason];
+    if (category) {
+      return {
+        category,
+        reason: candidate.finishReason,
+        safetyRatings: flaggedRatings(candidate.safetyRatings),
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * 筛选出被拦截或中高风险的安全评级
+ */
+function flaggedRatings(ratings) {
+  if (!Array.isArray(ratings)) return [];
+  return ratings
+    .filter((r) => r?.blocked || r?.probability === "HIGH" || r?.probability === "MEDIUM")
+    .map((r) => ({ category: r.category, probability: r.probability, blocked: Boolean(r.blocked) }));
+}
+
+/**
+ * 没有图片且响应被拦截时抛出 ContentBlockedError（部分候选被拦截但仍有图片时照常返回）
+ * @param {BackendResult} result
+ */
+function throwIfBlocked({ images, texts, block }) {
+  if (!block || images.length > 0) return;
+  throw new ContentBlockedError(`内容被安全策略拦截（${block.reason}）`, {
+    ...block,
+    modelText: texts.join("\n"),
+  });
+}
+
+/**
+ * OpenAI images API 以 HTTP 400 + error.code 表示内容违规
+ */
+function throwIfOpenAIPolicyViolation(status, body) {
+  if (status !== 400) return;
+  let error;
+  try {
+    error = JSON.parse(body)?.error;
+  } catch {
+    return;
+  }
+  const code = String(error?.code ?? error?.type ?? "");
+  if (code === "content_policy_violation" || code === "moderation_blocked") {
+    throw new ContentBlockedError(`内容被安全策略拦截（${code}）`, {
+      category: "content_filter",
+      reason: code,
+      modelText: String(error?.message ?? ""),
+    });
+  }
 }
 
 // ============ 统一入口 ============
 /**
  * 生成图片（根据配置选择 API）
  * @param {GenerateParams} params
- * @returns {Promise<ImageResult[]>}
+ * @returns {Promise<GenerateResult>}
  */
 export async function generateImages(params) {
-  const mode = config.imageMode;
+  const mode = params.mode ?? config.imageMode;
   const count = clampInt(parseIntOr(params?.n, 1), 1, 4);
 
+  // 按回放策略裁剪历史（所有后端共用，n>1 时只处理一次）
+  const history = params.history ?? parseHistoryStrategy(config.historyStrategy);
+  params = {
+    ...params,
+    historyMessages: await applyHistoryStrategy(params.historyMessages ?? [], history, params),
+  };
+
+  /** @type {string[]} */
+  const retries = [];
+  const retrying = (fn) => () => withRetry(fn, params, retries);
+
+  const result =
+    mode === "auto"
+      ? await generateWithFallback(params, count, retrying)
+      : await generateWithMode(mode, params, count, retrying);
+
+  return { mode, ...result, retries };
+}
+
+/**
+ * 使用指定模式生成图片
+ * @param {string} mode - gemini | vertex | openai | images | chat
+ * @param {GenerateParams} params
+ * @param {number} count
+ * @param {(fn: () => Promise<BackendResult>) => () => Promise<BackendResult>} retrying - 重试包装
+ * @returns {Promise<Omit<GenerateResult, "retries" | "mode">>}
+ */
+async function generateWithMode(mode, params, count, retrying) {
   if (mode === "gemini") {
-    return await generateMultiple(() => generateImagesViaGeminiNative(params), count);
+    return await generateMultiple(retrying(() => generateImagesViaGeminiNative(params)), count, params);
+  }
+  if (mode === "vertex") {
+    return await generateMultiple(retrying(() => generateImagesViaVertex(params)), count, params);
   }
-
   if (mode === "openai" || mode === "images") {
-    return await generateImagesViaImagesApi(params);
+    const { images, texts, usage = null } = await retrying(() => generateViaImagesEndpoint(params))();
+    return { images, texts, errors: [], usage, modelParts: images.map(() => null) };
   }
+  // chat (兼容模式)
+  return await generateMultiple(retrying(() => generateImagesViaChatCompletions(params)), count, params);
+}
 
-  if (mode === "auto") {
-    return await generateWithFallback(params, count);
+/**
+ * 并发调用生成器以获取指定数量的图片（并发数受 OPENAI_IMAGE_CONCURRENCY 限制）
+ * 部分失败时返回成功的图片和失败列表；全部失败时抛出第一个错误
+ * @param {() => Promise<BackendResult>} generator
+ * @param {number} count
+ * @param {GenerateParams} params - 读取其中的 onProgress / signal
+ * @returns {Promise<GenerateResult>}
+ */
+async function generateMultiple(generator, count, { onProgress, signal } = {}) {
+  /** @type {Array<BackendResult | undefined>} */
+  const batches = new Array(count);
+  /** @type {Array<{index: number, err: Error}>} */
+  const failures = [];
+  let nextIndex = 0;
+  let finished = 0;
+
+  const worker = async () => {
+    while (nextIndex < count) {
+      const index = nextIndex;
+      nextIndex += 1;
+      throwIfCancelled(signal);
+      try {
+        batches[index] = await generator();
+        finished += 1;
+        onProgress?.(`已完成 ${finished}/${count} 张图片`);
+      } catch (err) {
+        if (err instanceof CancelledError) throw err;
+        finished += 1;
+        failures.push({ index, err });
+        debugLog(`[upstream] 第 ${index + 1}/${count} 张生成失败: ${err.message}`);
+        onProgress?.(`第 ${index + 1}/${count} 张生成失败（${finished}/${count}）`);
+      }
+    }
+  };
+
+  const concurrency = Math.min(config.concurrency, count);
+  await Promise.all(Array.from({ length: concurrency }, worker));
+
+  const succeeded = batches.filter(Boolean);
+  const images = succeeded.flatMap((b) => b.images).slice(0, count);
+  const texts = [...new Set(succeeded.flatMap((b) => b.texts))];
+  // 只有文本没有图片（如澄清问题、拒绝原因）时不视为失败，由调用方展示文本
+  if (images.length === 0 && texts.length === 0) {
+    throw failures[0]?.err ?? new Error("接口未返回可用的图片数据");
   }
 
-  // chat (兼容模式)
-  return await generateMultiple(() => generateImagesViaChatCompletions(params), count);
+  // 每张图片对应所在请求的原始 parts，选择候选图时一并切换
+  const modelParts =
+    images.length > 0
+      ? succeeded.flatMap((b) => b.images.map(() => b.modelParts ?? null)).slice(0, count)
+      : [succeeded[0]?.modelParts ?? null];
+
+  failures.sort((a, b) => a.index - b.index);
+  const errors = failures.map(({ index, err }) => `第 ${index + 1} 张: 生成失败 - ${err.message}`);
+  return { images, texts, errors, usage: mergeUsage(succeeded.map((b) => b.usage)), modelParts };
 }
 
 /**
- * 多次调用生成器以获取指定数量的图片
+ * 累加多次请求的用量统计（数值字段相加，嵌套对象递归处理，其他字段取第一次的值）
+ * @param {Array<Object | null | undefined>} usages
+ * @returns {Object | null}
  */
-async function generateMultiple(generator, count) {
-  /** @type {ImageResult[]} */
-  const out = [];
-  for (let i = 0; i < count; i += 1) {
-    const batch = await generator();
-    out.push(...batch);
-    if (out.length >= count) break;
+function mergeUsage(usages) {
+  const valid = usages.filter((u) => u && typeof u === "object" && !Array.isArray(u));
+  if (valid.length === 0) return null;
+  return valid.reduce((total, usage) => {
+    for (const [key, value] of Object.entries(usage)) {
+      if (typeof value === "number" && typeof total[key] === "number") {
+        total[key] += value;
+      } else if (value && typeof value === "object" && !Array.isArray(value) && key in total) {
+        total[key] = mergeUsage([total[key], value]);
+      } else if (!(key in total)) {
+        total[key] = value;
+      }
+    }
+    return total;
+  }, {});
+}
+
+/** auto 模式的检测顺序 */
+const AUTO_MODES = ["images", "gemini", "chat"];
+
+const AUTO_MODE_LABELS = {
+  images: "images API",
+  gemini: "Gemini 原生 API",
+  chat: "chat/completions",
+};
+
+/**
+ * 自动检测模式：优先使用缓存的模式，失败时依次尝试其他模式
+ * 检测结果按 baseUrl + model 缓存；所有模式都失败时，错误信息列出每个模式的失败原因
+ * @param {GenerateParams} params
+ * @param {number} count
+ * @param {(fn: () => Promise<BackendResult>) => () => Promise<BackendResult>} retrying - 重试包装
+ * @returns {Promise<Omit<GenerateResult, "retries">>}
+ */
+async function generateWithFallback(params, count, retrying) {
+  const { onProgress } = params;
+  const cacheKey = getModeCacheKey(params.baseUrl, params.model);
+  const cachedMode = getCachedMode(cacheKey);
+  // 只有 images API 能发送遮罩，改用其他模式会变成不带遮罩的整图编辑
+  const modes = params.mask ? ["images"] : AUTO_MODES;
+  const order = modes.includes(cachedMode) ? [cachedMode, ...modes.filter((m) => m !== cachedMode)] : modes;
+
+  /** @type {Array<{mode: string, err: Error}>} */
+  const attempts = [];
+  for (const mode of order) {
+    if (attempts.length > 0) {
+      const prev = attempts[attempts.length - 1];
+      debugLog(`[upstream] ${AUTO_MODE_LABELS[prev.mode]} 失败，尝试 ${AUTO_MODE_LABELS[mode]}`);
+      onProgress?.(`${AUTO_MODE_LABELS[prev.mode]} 失败，改用 ${AUTO_MODE_LABELS[mode]}`);
+    }
+    try {
+      const result = await generateWithMode(mode, params, count, retrying);
+      if (mode !== cachedMode) setCachedMode(cacheKey, mode);
+      return { ...result, mode };
+    } catch (err) {
+      if (err instanceof CancelledError) throw err;
+      // 被安全策略拦截说明该模式可用，换模式也无济于事
+      if (err instanceof ContentBlockedError) {
+        if (mode !== cachedMode) setCachedMode(cacheKey, mode);
+        throw err;
+      }
+      attempts.push({ mode, err });
+      if (mode === cachedMode) clearCachedMode(cacheKey);
+    }
   }
-  return out.slice(0, count);
+
+  const details = attempts
+    .map(({ mode, err }) => `- ${AUTO_MODE_LABELS[mode]}: ${truncate(err.message, 300)}`)
+    .join("\n");
+  if (params.mask) {
+    throw new Error(`auto 模式下 images API 失败，其他模式不支持 mask：\n${details}`);
+  }
+  throw new Error(`auto 模式下所有 API 均失败：\n${details}`);
 }
 
+// ============ 重试 ============
 /**
- * 自动检测模式：依次尝试不同 API
+ * 是否为可重试的上游错误（仅 429 和 5xx；其他 4xx 是参数/鉴权问题，重试无意义）
  */
-async function generateWithFallback(params, count) {
+function isRetryableError(err) {
+  return err instanceof HttpError && (err.status === 429 || err.status >= 500);
+}
+
+/**
+ * 解析 Retry-After 响应头（秒数或 HTTP 日期）
+ * @returns {number | null} 毫秒
+ */
+function parseRetryAfterHeader(value) {
+  const raw = String(value ?? "").trim();
+  if (!raw) return null;
+  if (/^\d+(\.\d+)?$/.test(raw)) return Math.round(parseFloat(raw) * 1000);
+  const date = Date.parse(raw);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+/**
+ * 解析 Gemini 错误体中的 google.rpc.RetryInfo（如 "retryDelay": "13s"）
+ * @returns {number | null} 毫秒
+ */
+function parseGeminiRetryDelay(body) {
   try {
-    return await generateImagesViaImagesApi(params);
-  } catch (err) {
-    if (err instanceof HttpError && (err.status === 404 || err.status === 400)) {
-      debugLog("[upstream] images/generations 失败，尝试 Gemini 原生 API");
-      try {
-        return await generateMultiple(() => generateImagesViaGeminiNative(params), count);
-      } catch {
-        debugLog("[upstream] Gemini 原生 API 失败，回退到 chat/completions");
-        return await generateMultiple(() => generateImagesViaChatCompletions(params), count);
+    const details = JSON.parse(body)?.error?.details;
+    if (!Array.isArray(details)) return null;
+    const info = details.find((d) => String(d?.["@type"] ?? "").endsWith("google.rpc.RetryInfo"));
+    const match = /^(\d+(?:\.\d+)?)s$/.exec(String(info?.retryDelay ?? ""));
+    return match ? Math.round(parseFloat(match[1]) * 1000) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 计算下次重试的等待时间：优先使用服务端建议，否则指数退避 + 随机抖动
+ * @param {HttpError} err
+ * @param {number} attempt - 已失败的尝试次数（从 1 开始）
+ */
+function computeRetryDelay(err, attempt) {
+  const suggested = parseRetryAfterHeader(err.retryAfter) ?? parseGeminiRetryDelay(err.body);
+  if (suggested !== null) return suggested;
+  const backoff = Math.min(DEFAULTS.RETRY_MAX_DELAY_MS, config.retryBaseDelayMs * 2 ** (attempt - 1));
+  return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+}
+
+/**
+ * 对上游请求进行重试（429 / 5xx）
+ * @param {() => Promise<BackendResult>} fn
+ * @param {GenerateParams} params - 读取其中的 onProgress / signal
+ * @param {string[]} retries - 重试记录（追加写入）
+ * @returns {Promise<BackendResult>}
+ */
+async function withRetry(fn, { onProgress, signal }, retries) {
+  const maxAttempts = config.retryMaxAttempts;
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (!isRetryableError(err) || attempt >= maxAttempts) throw err;
+
+      const delay = computeRetryDelay(err, attempt);
+      if (delay > DEFAULTS.RETRY_MAX_DELAY_MS) {
+        debugLog(`[retry] 服务端要求等待 ${delay}ms，超过上限 ${DEFAULTS.RETRY_MAX_DELAY_MS}ms，放弃重试`);
+        throw err;
       }
+
+      const note = `HTTP ${err.status}，${(delay / 1000).toFixed(1)} 秒后重试（第 ${attempt + 1}/${maxAttempts} 次尝试）`;
+      retries.push(note);
+      debugLog(`[retry] ${note}`);
+      onProgress?.(`上游 ${note}`);
+      await sleep(delay, signal);
     }
-    throw err;
   }
 }
@@ -23,6 +23,18 @@ export const DEFAULTS = {
   SESSION_CLEANUP_INTERVAL_MS: 60 * 60 * 1000, // 1 小时（TTL 更长，清理间隔也可以更长）
   INLINE_MAX_SIZE: 512 * 1024, // 512KB
   SESSION_MAX_HISTORY: 10, // 最多保存的历史消息轮数
+  CONCURRENCY: 4, // n>1 时并发请求上游的最大数量
+  RETRY_MAX_ATTEMPTS: 3, // 429/5xx 时的最大尝试次数（含首次）
+  RETRY_BASE_DELAY_MS: 1000, // 指数退避的基础延迟
+  RETRY_MAX_DELAY_MS: 60_000, // 单次重试的最大等待时间，Retry-After 超过此值则不再重试
+  MODE_CACHE_TTL_MS: 24 * 60 * 60 * 1000, // auto 模式检测结果缓存 1 天
+  MAX_INPUT_IMAGES: 14, // 单次调用最多的参考图数量（Gemini 3 Pro Image 上限）
+  FILENAME_TEMPLATE: "image-{batch}-{index}", // 保存图片的文件名模板（不含扩展名）
+  QUALITY: 90, // JPEG / WebP 输出质量
+  MAX_OUTPUT_RESOURCES: 200, // resources/list 中保留的已保存图片数量
+  HISTORY_STRATEGY: "full", // 历史回放策略：full | last-image-only | window:N | byte-budget
+  HISTORY_MAX_BYTES: 8 * 1024 * 1024, // byte-budget 策略下单次请求的大小上限
+  HISTORY_IMAGE_MAX_BYTES: 256 * 1024, // byte-budget 策略下较早图片缩小后的大小上限
 };
 
 // ============ 环境变量读取器 ============
@@ -43,6 +55,33 @@ export const config = {
     return String(process.env.OPENAI_IMAGE_MODE ?? "gemini").trim().toLowerCase();
   },
   
+  get vertexProject() {
+    return process.env.VERTEX_PROJECT ?? process.env.GOOGLE_CLOUD_PROJECT ?? "";
+  },
+
+  get vertexLocation() {
+    return process.env.VERTEX_LOCATION ?? process.env.GOOGLE_CLOUD_LOCATION ?? "global";
+  },
+
+  get vertexCredentialsFile() {
+    return process.env.VERTEX_CREDENTIALS_FILE ?? process.env.GOOGLE_APPLICATION_CREDENTIALS ?? "";
+  },
+
+  get vertexTokenUrl() {
+    // 为空时使用服务账号密钥中的 token_uri
+    return process.env.VERTEX_TOKEN_URL ?? "";
+  },
+
+  get vertexBaseUrl() {
+    // 为空时按区域推导 https://{location}-aiplatform.googleapis.com
+    return process.env.VERTEX_BASE_URL ?? "";
+  },
+
+  get geminiStream() {
+    // gemini / vertex 模式下使用 streamGenerateContent（SSE）
+    return process.env.GEMINI_STREAM === "1";
+  },
+
   get defaultSize() {
     return process.env.OPENAI_IMAGE_SIZE ?? DEFAULTS.SIZE;
   },
@@ -54,17 +93,60 @@ export const config = {
   get defaultOutDir() {
     return process.env.OPENAI_IMAGE_OUT_DIR ?? "";
   },
+
+  get outputFormat() {
+    // 输出格式（png | jpeg | webp），为空时保留上游返回的格式
+    return process.env.OPENAI_IMAGE_FORMAT?.trim() ?? "";
+  },
+
+  get outputQuality() {
+    const n = parseInt(process.env.OPENAI_IMAGE_QUALITY ?? "", 10);
+    return Number.isFinite(n) ? Math.max(1, Math.min(100, n)) : DEFAULTS.QUALITY;
+  },
+
+  get historyStrategy() {
+    return process.env.OPENAI_IMAGE_HISTORY?.trim() || DEFAULTS.HISTORY_STRATEGY;
+  },
+
+  get historyMaxBytes() {
+    const n = parseInt(process.env.OPENAI_IMAGE_HISTORY_MAX_BYTES ?? "", 10);
+    return Number.isFinite(n) && n > 0 ? n : DEFAULTS.HISTORY_MAX_BYTES;
+  },
+
+  get filenameTemplate() {
+    return process.env.OPENAI_IMAGE_FILENAME?.trim() || DEFAULTS.FILENAME_TEMPLATE;
+  },
   
   get timeoutMs() {
     const n = parseInt(process.env.OPENAI_TIMEOUT_MS ?? "", 10);
     return Number.isFinite(n) ? Math.max(5_000, Math.min(600_000, n)) : DEFAULTS.TIMEOUT_MS;
   },
   
+  get concurrency() {
+    const n = parseInt(process.env.OPENAI_IMAGE_CONCURRENCY ?? "", 10);
+    return Number.isFinite(n) ? Math.max(1, Math.min(4, n)) : DEFAULTS.CONCURRENCY;
+  },
+
+  get retryMaxAttempts() {
+    const n = parseInt(process.env.OPENAI_RETRY_MAX_ATTEMPTS ?? "", 10);
+    return Number.isFinite(n) ? Math.max(1, Math.min(10, n)) : DEFAULTS.RETRY_MAX_ATTEMPTS;
+  },
+
+  get retryBaseDelayMs() {
+    const n = parseInt(process.env.OPENAI_RETRY_BASE_DELAY_MS ?? "", 10);
+    return Number.isFinite(n) ? Math.max(0, n) : DEFAULTS.RETRY_BASE_DELAY_MS;
+  },
+
   get sessionTtlMs() {
     const n = parseInt(process.env.SESSION_TTL_MS ?? "", 10);
     return Number.isFinite(n) ? n : DEFAULTS.SESSION_TTL_MS;
   },
   
+  get modeCacheTtlMs() {
+    const n = parseInt(process.env.MODE_CACHE_TTL_MS ?? "", 10);
+    return Number.isFinite(n) ? n : DEFAULTS.MODE_CACHE_TTL_MS;
+  },
+
   get inlineMaxSize() {
     const n = parseInt(process.env.OPENAI_IMAGE_INLINE_MAX_SIZE ?? "", 10);
     return Number.isFinite(n) ? n : DEFAULTS.INLINE_MAX_SIZE;
@@ -92,6 +174,29 @@ export const config = {
     return path.join(homeDir, ".gemini-images", "images");
   },
 
+  get profilesFile() {
+    // 后端配置文件，默认 ~/.gemini-images/profiles.json
+    if (process.env.PROFILES_FILE) {
+      return process.env.PROFILES_FILE;
+    }
+    const homeDir = process.env.HOME || process.env.USERPROFILE || "";
+    return path.join(homeDir, ".gemini-images", "profiles.json");
+  },
+
+  get embedMetadataEnabled() {
+    // 是否将生成信息（prompt、模型、会话等）写入保存的图片文件，默认启用
+    return process.env.OPENAI_IMAGE_EMBED_METADATA !== "0";
+  },
+
+  get stylesFile() {
+    // 风格预设文件，默认 ~/.gemini-images/styles.json
+    if (process.env.STYLES_FILE) {
+      return process.env.STYLES_FILE;
+    }
+    const homeDir = process.env.HOME || process.env.USERPROFILE || "";
+    return path.join(homeDir, ".gemini-images", "styles.json");
+  },
+
   get sessionPersistEnabled() {
     // 是否启用会话持久化，默认启用
     return process.env.SESSION_PERSIST !== "0";
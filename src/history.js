@@ -0,0 +1,251 @@
+/**
+ * 历史回放模块 - 控制继续会话时随请求发送的历史消息
+ *
+ * 策略：
+ * - full              原样发送全部历史
+ * - last-image-only   只发送历史中的文本，图片只保留本轮的编辑基础（随本轮输入发送）
+ * - window:N          只发送最近 N 轮
+ * - byte-budget[:字节] 从最近的轮次开始保留，超出上限时缩小较早轮次的图片，仍放不下则丢弃更早的轮次
+ *
+ * 所有后端都通过 generateImages 调用 applyHistoryStrategy，历史裁剪只在这里处理
+ */
+import { config, DEFAULTS } from "./config.js";
+import { debugLog, parseDataUrl } from "./utils.js";
+import { createPreview } from "./image-convert.js";
+
+/**
+ * @typedef {Object} HistoryStrategy
+ * @property {"full" | "last-image-only" | "window" | "byte-budget"} type
+ * @property {number} [turns] - window 策略保留的轮数
+ * @property {number} [maxBytes] - byte-budget 策略的大小上限（未指定时使用 OPENAI_IMAGE_HISTORY_MAX_BYTES）
+ */
+
+/**
+ * @typedef {Object} HistoryMessage
+ * @property {string} role - user | assistant
+ * @property {string | Array} content - OpenAI 格式的消息内容
+ * @property {Object[]} [geminiParts] - Gemini 原始 parts（见 session.js）
+ */
+
+const SIZE_UNITS = { "": 1, b: 1, kb: 1024, k: 1024, mb: 1024 * 1024, m: 1024 * 1024 };
+
+// ============ 策略解析 ============
+
+/**
+ * 解析历史回放策略
+ * @param {unknown} raw - full | last-image-only | window:N | byte-budget[:大小]（大小支持 KB / MB 后缀）
+ * @returns {HistoryStrategy}
+ * @throws {Error} 不支持的策略
+ */
+export function parseHistoryStrategy(raw) {
+  const s = String(raw ?? "").trim().toLowerCase();
+  if (!s || s === "full") return { type: "full" };
+  if (s === "last-image-only") return { type: "last-image-only" };
+
+  const windowMatch = /^window:(\d+)$/.exec(s);
+  if (windowMatch) return { type: "window", turns: Number(windowMatch[1]) };
+
+  const budgetMatch = /^byte-budget(?::(\d+)\s*(b|kb?|mb?)?)?$/.exec(s);
+  if (budgetMatch) {
+    const [, amount, unit = ""] = budgetMatch;
+    return amount ? { type: "byte-budget", maxBytes: Number(amount) * SIZE_UNITS[unit] } : { type: "byte-budget" };
+  }
+
+  throw new Error(`不支持的历史回放策略: ${raw}（可选：full、last-image-only、window:N、byte-budget[:大小]）`);
+}
+
+/**
+ * 策略的可读描述（用于日志）
+ * @param {HistoryStrategy} strategy
+ */
+export function formatHistoryStrategy(strategy) {
+  if (strategy.type === "window") return `window:${strategy.turns}`;
+  if (strategy.type === "byte-budget" && strategy.maxBytes) return `byte-budget:${strategy.maxBytes}`;
+  return strategy.type;
+}
+
+// ============ 策略应用 ============
+
+/**
+ * 按策略裁剪历史消息（不修改传入的消息）
+ * @param {HistoryMessage[]} messages - 会话历史
+ * @param {HistoryStrategy} strategy
+ * @param {Object} [current] - 本轮请求的内容，byte-budget 策略计入大小
+ * @param {string} [current.prompt]
+ * @param {Array<{base64: string}>} [current.inputImages]
+ * @returns {Promise<HistoryMessage[]>}
+ */
+export async function applyHistoryStrategy(messages, strategy, { prompt = "", inputImages = [] } = {}) {
+  if (messages.length === 0 || strategy.type === "full") return messages;
+
+  let result;
+  if (strategy.type === "last-image-only") {
+    result = messages.map(toTextOnlyMessage);
+  } else if (strategy.type === "window") {
+    result = strategy.turns > 0 ? groupTurns(messages).slice(-strategy.turns).flat() : [];
+  } else {
+    const currentBytes = prompt.length + inputImages.reduce((sum, img) => sum + (img?.base64?.length ?? 0), 0);
+    const budget = (strategy.maxBytes ?? config.historyMaxBytes) - currentBytes;
+    result = await fitByteBudget(messages, budget);
+  }
+
+  debugLog(
+    `[history] 策略 ${formatHistoryStrategy(strategy)}: ${messages.length} 条消息 (${estimateBytes(messages)} bytes) → ${result.length} 条 (${estimateBytes(result)} bytes)`
+  );
+  return result;
+}
+
+/**
+ * 按轮次分组（每轮以用户消息开始）
+ * @param {HistoryMessage[]} messages
+ * @returns {HistoryMessage[][]}
+ */
+function groupTurns(messages) {
+  const turns = [];
+  for (const msg of messages) {
+    if (msg.role === "user" || turns.length === 0) {
+      turns.push([msg]);
+    } else {
+      turns[turns.length - 1].push(msg);
+    }
+  }
+  return turns;
+}
+
+/**
+ * 去掉消息中的图片，只保留文本
+ * 原始 parts 中去掉图片 part，保留文本 part 及其 thoughtSignature；图片 part 上的签名随图片一起丢弃
+ * @param {HistoryMessage} msg
+ * @returns {HistoryMessage}
+ */
+function toTextOnlyMessage(msg) {
+  const content = Array.isArray(msg.content)
+    ? msg.content
+        .filter((part) => part?.type === "text" && typeof part.text === "string")
+        .map((part) => part.text)
+        .join("\n") || "[图片]"
+    : msg.content;
+  return withGeminiParts({ role: msg.role, content }, mapImageParts(msg.geminiParts, () => null));
+}
+
+/**
+ * 从最近的轮次开始保留历史，直到用完预算
+ * 原样放不下的轮次改用缩小的图片；缩小后仍放不下时丢弃该轮及更早的轮次
+ * @param {HistoryMessage[]} messages
+ * @param {number} budget - 可用字节数
+ * @returns {Promise<HistoryMessage[]>}
+ */
+async function fitByteBudget(messages, budget) {
+  const turns = groupTurns(messages);
+  const kept = [];
+  let remaining = budget;
+  let downscaling = false;
+
+  for (const turn of [...turns].reverse()) {
+    let candidate = turn;
+    if (!downscaling && estimateBytes(candidate) > remaining) downscaling = true;
+    // 一旦开始缩小，更早的轮次也都缩小，保证越新的轮次越清晰
+    if (downscaling) candidate = await Promise.all(turn.map(downscaleMessage));
+
+    const bytes = estimateBytes(candidate);
+    if (bytes > remaining) break;
+    kept.unshift(candidate);
+    remaining -= bytes;
+  }
+
+  if (kept.length < turns.length) {
+    debugLog(`[history] byte-budget: 丢弃了最早的 ${turns.length - kept.length} 轮`);
+  }
+  return kept.flat();
+}
+
+/**
+ * 缩小消息中的图片，原始 parts 中的图片同样替换为缩小后的版本
+ * 替换后的图片 part 不再携带 thoughtSignature（签名对应原图），文本 part 的签名保留
+ * 无法缩小（未安装 sharp 等）时保留原图
+ * @param {HistoryMessage} msg
+ * @returns {Promise<HistoryMessage>}
+ */
+async function downscaleMessage(msg) {
+  if (!Array.isArray(msg.content)) return msg;
+
+  // 同一张图片在 content 和 geminiParts 中各出现一次，只缩小一次
+  const previews = new Map();
+  const shrink = (image) => {
+    if (!previews.has(image.base64)) previews.set(image.base64, createPreview(image, DEFAULTS.HISTORY_IMAGE_MAX_BYTES));
+    return previews.get(image.base64);
+  };
+
+  let changed = false;
+  const content = await Promise.all(
+    msg.content.map(async (part) => {
+      const parsed = part?.type === "image_url" ? parseDataUrl(part.image_url?.url ?? "") : null;
+      if (!parsed || parsed.base64.length <= DEFAULTS.HISTORY_IMAGE_MAX_BYTES) return part;
+
+      const preview = await shrink(parsed);
+      if (!preview) return part;
+      changed = true;
+      return { type: "image_url", image_url: { url: `data:${preview.mimeType};base64,${preview.base64}` } };
+    })
+  );
+  if (!changed) return msg;
+
+  const partPreviews = new Map();
+  for (const part of msg.geminiParts ?? []) {
+    const image = readImagePart(part);
+    if (image && image.base64.length > DEFAULTS.HISTORY_IMAGE_MAX_BYTES) partPreviews.set(part, await shrink(image));
+  }
+  const geminiParts = mapImageParts(msg.geminiParts, (part) => {
+    const preview = partPreviews.get(part);
+    if (!preview) return part;
+    return part.inlineData
+      ? { inlineData: { mimeType: preview.mimeType, data: preview.base64 } }
+      : { inline_data: { mime_type: preview.mimeType, data: preview.base64 } };
+  });
+  return withGeminiParts({ role: msg.role, content }, geminiParts);
+}
+
+/**
+ * 读取 Gemini part 中的内联图片（兼容 camelCase / snake_case）
+ * @param {Object} part
+ * @returns {{base64: string, mimeType: string} | null}
+ */
+function readImagePart(part) {
+  if (part?.inlineData?.data) return { base64: part.inlineData.data, mimeType: part.inlineData.mimeType || "image/png" };
+  if (part?.inline_data?.data) return { base64: part.inline_data.data, mimeType: part.inline_data.mime_type || "image/png" };
+  return null;
+}
+
+/**
+ * 替换 Gemini 原始 parts 中的图片 part，其余 part（文本、thoughtSignature）原样保留
+ * @param {Object[] | undefined} parts
+ * @param {(part: Object) => Object | null} replace - 返回 null 表示去掉该 part
+ * @returns {Object[] | undefined} 没有剩余 part 时返回 undefined
+ */
+function mapImageParts(parts, replace) {
+  if (!Array.isArray(parts)) return undefined;
+  const result = parts.map((part) => (readImagePart(part) ? replace(part) : part)).filter(Boolean);
+  return result.length > 0 ? result : undefined;
+}
+
+/**
+ * @param {HistoryMessage} msg
+ * @param {Object[] | undefined} geminiParts
+ * @returns {HistoryMessage}
+ */
+function withGeminiParts(msg, geminiParts) {
+  return geminiParts ? { ...msg, geminiParts } : msg;
+}
+
+/**
+ * 估算消息的请求大小（取 OpenAI 格式内容和 Gemini 原始 parts 中较大的一个）
+ * @param {HistoryMessage[]} messages
+ * @returns {number}
+ */
+function estimateBytes(messages) {
+  return messages.reduce((sum, msg) => {
+    const contentBytes = JSON.stringify(msg.content ?? "").length;
+    const partsBytes = msg.geminiParts ? JSON.stringify(msg.geminiParts).length : 0;
+    return sum + Math.max(contentBytes, partsBytes);
+  }, 0);
+}
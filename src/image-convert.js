@@ -0,0 +1,202 @@
+/**
+ * 图片转换模块 - 输出格式转换（PNG / JPEG / WebP）和内联预览缩放
+ *
+ * 基于 sharp（可选依赖，按需加载）。未安装 sharp 时保留上游返回的原始格式，也不生成预览图。
+ */
+import { debugLog, detectImageMime } from "./utils.js";
+
+/**
+ * @typedef {Object} ImageResult
+ * @property {string} base64 - Base64 编码的图片数据
+ * @property {string} mimeType - MIME 类型
+ */
+
+/** 支持的输出格式 */
+export const OUTPUT_FORMATS = ["png", "jpeg", "webp"];
+
+const FORMAT_MIME_TYPES = {
+  png: "image/png",
+  jpeg: "image/jpeg",
+  webp: "image/webp",
+};
+
+const FORMAT_ALIASES = {
+  jpg: "jpeg",
+};
+
+/** 预览图依次尝试的最长边（像素），直到编码结果不超过大小上限 */
+const PREVIEW_MAX_EDGES = [2048, 1536, 1024, 768, 512, 384, 256];
+const PREVIEW_QUALITY = 80;
+
+// ============ sharp 加载 ============
+
+/** @type {Promise<any> | null} */
+let sharpPromise = null;
+
+/**
+ * 按需加载 sharp（只加载一次；未安装时返回 null）
+ * @returns {Promise<any>}
+ */
+export function loadSharp() {
+  sharpPromise ??= import("sharp")
+    .then((mod) => mod.default)
+    .catch((err) => {
+      debugLog(`[convert] 无法加载 sharp: ${err.message}`);
+      return null;
+    });
+  return sharpPromise;
+}
+
+// ============ 参数解析 ============
+
+/**
+ * 解析输出格式（png / jpeg / jpg / webp）
+ * @param {unknown} raw
+ * @returns {string | null} 规范化的格式；未指定时返回 null（保留上游格式）
+ * @throws {Error} 不支持的格式
+ */
+export function parseOutputFormat(raw) {
+  const s = String(raw ?? "").trim().toLowerCase();
+  if (!s) return null;
+  const format = FORMAT_ALIASES[s] ?? s;
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`不支持的图片格式: ${raw}（可选：png、jpeg、webp）`);
+  }
+  return format;
+}
+
+/**
+ * 输出格式对应的 MIME 类型
+ * @param {string} format
+ * @returns {string}
+ */
+export function mimeFromFormat(format) {
+  return FORMAT_MIME_TYPES[format] ?? "image/png";
+}
+
+// ============ 格式转换 ============
+
+/**
+ * 将图片编码为指定格式
+ * @param {any} sharp - sharp 模块
+ * @param {Buffer} buffer - 原图
+ * @param {string} format - png | jpeg | webp
+ * @param {number} quality - 1-100（PNG 忽略）
+ * @returns {Promise<Buffer>}
+ */
+export async function encodeImage(sharp, buffer, format, quality) {
+  let pipeline = sharp(buffer, { failOn: "none" }).rotate();
+  if (format === "jpeg") {
+    // JPEG 不支持透明通道，铺白底
+    pipeline = pipeline.flatten({ background: "#ffffff" }).jpeg({ quality, mozjpeg: true });
+  } else if (format === "webp") {
+    pipeline = pipeline.webp({ quality });
+  } else {
+    pipeline = pipeline.png({ compressionLevel: 9 });
+  }
+  return await pipeline.toBuffer();
+}
+
+/**
+ * 将图片转换为指定格式（已是目标格式的图片不重新编码）
+ * 单张转换失败时保留原图，并在 errors 中说明
+ * @param {ImageResult[]} images
+ * @param {Object} options
+ * @param {string | null} options.format - 目标格式；为空时原样返回
+ * @param {number} options.quality - JPEG / WebP 质量（1-100）
+ * @returns {Promise<{images: ImageResult[], errors: string[]}>}
+ */
+export async function convertImages(images, { format, quality }) {
+  if (!format) return { images, errors: [] };
+
+  const targetMime = mimeFromFormat(format);
+  const pending = images.filter((img) => detectMime(img) !== targetMime);
+  if (pending.length === 0) return { images, errors: [] };
+
+  const sharp = await loadSharp();
+  if (!sharp) {
+    return {
+      images,
+      errors: [`未安装 sharp，无法转换为 ${format.toUpperCase()}，已保留原格式（npm install sharp）`],
+    };
+  }
+
+  const errors = [];
+  const converted = [];
+  for (let i = 0; i < images.length; i += 1) {
+    const img = images[i];
+    if (detectMime(img) === targetMime) {
+      converted.push({ ...img, mimeType: targetMime });
+      continue;
+    }
+    try {
+      const buffer = await encodeImage(sharp, Buffer.from(img.base64, "base64"), format, quality);
+      converted.push({ base64: buffer.toString("base64"), mimeType: targetMime });
+      debugLog(`[convert] 图片 ${i + 1}: ${img.mimeType} → ${targetMime} (${buffer.length} bytes)`);
+    } catch (err) {
+      converted.push(img);
+      errors.push(`图片 ${i + 1}: 转换为 ${format.toUpperCase()} 失败，已保留原格式 - ${err.message}`);
+    }
+  }
+  return { images: converted, errors };
+}
+
+/**
+ * 按文件头识别图片的实际格式（上游标注的 MIME 类型不一定准确）
+ */
+function detectMime(img) {
+  return detectImageMime(Buffer.from(String(img?.base64 ?? "").slice(0, 64), "base64")) ?? img?.mimeType;
+}
+
+// ============ 内联预览 ============
+
+/**
+ * @typedef {Object} PreviewImage
+ * @property {string} base64 - 预览图 base64
+ * @property {string} mimeType - image/jpeg（不透明）或 image/webp（带透明通道）
+ * @property {number} width - 预览图宽度
+ * @property {number} height - 预览图高度
+ * @property {number} bytes - 预览图大小
+ */
+
+/**
+ * 生成不超过大小上限的缩小预览图（用于内联展示，原图不受影响）
+ * 依次缩小最长边重新编码，直到满足上限
+ * @param {ImageResult} image - 原图
+ * @param {number} maxBytes - 预览图大小上限
+ * @returns {Promise<PreviewImage | null>} 未安装 sharp 或无法压缩到上限以内时返回 null
+ */
+export async function createPreview(image, maxBytes) {
+  const sharp = await loadSharp();
+  if (!sharp) return null;
+
+  try {
+    const input = Buffer.from(image.base64, "base64");
+    const { width = 0, height = 0, hasAlpha } = await sharp(input, { failOn: "none" }).metadata();
+    const longestEdge = Math.max(width, height);
+    const format = hasAlpha ? "webp" : "jpeg";
+    const edges = [longestEdge, ...PREVIEW_MAX_EDGES.filter((edge) => edge < longestEdge)];
+
+    for (const edge of edges) {
+      const resized = sharp(input, { failOn: "none" })
+        .rotate()
+        .resize({ width: edge, height: edge, fit: "inside", withoutEnlargement: true });
+      const encoded =
+        format === "webp" ? resized.webp({ quality: PREVIEW_QUALITY }) : resized.jpeg({ quality: PREVIEW_QUALITY });
+      const { data, info } = await encoded.toBuffer({ resolveWithObject: true });
+      if (data.length <= maxBytes) {
+        return {
+          base64: data.toString("base64"),
+          mimeType: mimeFromFormat(format),
+          width: info.width,
+          height: info.height,
+          bytes: data.length,
+        };
+      }
+    }
+    debugLog(`[convert] 最小尺寸的预览图仍超过 ${maxBytes} bytes，放弃内联`);
+  } catch (err) {
+    debugLog(`[convert] 生成预览图失败: ${err.message}`);
+  }
+  return null;
+}
@@ -1,6 +1,7 @@
 /**
  * 图片处理模块 - 图片保存和结果格式化
  */
+import crypto from "node:crypto";
 import fs from "node:fs/promises";
 import path from "node:path";
 import os from "node:os";
@@ -10,7 +11,13 @@ import {
   extFromMime,
   toDisplayPath,
   generateBatchId,
+  formatDateForFilename,
+  slugify,
+  detectImageMime,
+  ContentBlockedError,
 } from "./utils.js";
+import { embedMetadata, readImageDimensions } from "./metadata.js";
+import { createPreview } from "./image-convert.js";
 
 /**
  * @typedef {Object} ImageResult
@@ -24,6 +31,19 @@ import {
  * @property {string[]} errors - 错误信息
  * @property {string} finalOutDir - 最终使用的输出目录
  * @property {string} warningMsg - 警告信息
+ * @property {string | null} manifestPath - 清单文件路径（未写入时为 null）
+ * @property {string} batchId - 批次 ID
+ */
+
+/**
+ * @typedef {Object} ManifestFile
+ * @property {string} file - 相对于输出目录的路径
+ * @property {string} path - 完整路径
+ * @property {string} sha256 - 文件内容的 SHA-256
+ * @property {string} mime_type - MIME 类型
+ * @property {number | null} width - 宽度（像素）
+ * @property {number | null} height - 高度（像素）
+ * @property {number} bytes - 文件大小
  */
 
 /**
@@ -53,32 +73,56 @@ async function ensureWritableDir(outDir) {
  * 保存图片到本地
  * @param {ImageResult[]} images - 图片数据
  * @param {string} outDir - 输出目录
+ * @param {Object} [options]
+ * @param {(message: string) => void} [options.onProgress] - 进度回调
+ * @param {import("./metadata.js").ImageMetadata} [options.metadata] - 生成信息（写入图片文件和清单）
+ * @param {Array<{base64: string, mimeType: string, label?: string}>} [options.inputImages] - 输入图片（清单中记录哈希）
+ * @param {Object | null} [options.usage] - 上游用量统计
+ * @param {string} [options.filenameTemplate] - 文件名模板（默认读取 OPENAI_IMAGE_FILENAME）
  * @returns {Promise<SaveResult>}
  */
-export async function saveImages(images, outDir) {
+export async function saveImages(
+  images,
+  outDir,
+  { onProgress, metadata, inputImages = [], usage = null, filenameTemplate = config.filenameTemplate } = {}
+) {
+  onProgress?.(`正在保存 ${images.length} 张图片`);
   const { dir: finalOutDir, warning: warningMsg } = await ensureWritableDir(outDir);
 
   const batchId = generateBatchId();
+  const tokens = buildFilenameTokens(batchId, metadata);
   const saved = [];
   const errors = [];
+  /** @type {ManifestFile[]} */
+  const manifestFiles = [];
 
   for (let i = 0; i < images.length; i += 1) {
     const img = images[i];
     const ext = extFromMime(img.mimeType);
-    const filePath = path.join(finalOutDir, `image-${batchId}-${i + 1}.${ext}`);
+    const basePath = path.join(finalOutDir, renderFilename(filenameTemplate, { ...tokens, index: String(i + 1) }));
 
     try {
       if (!img.base64 || typeof img.base64 !== "string") {
         errors.push(`图片 ${i + 1}: 无效的图片数据`);
         continue;
       }
-      const buffer = Buffer.from(img.base64, "base64");
+      let buffer = Buffer.from(img.base64, "base64");
       if (buffer.length === 0) {
         errors.push(`图片 ${i + 1}: 图片数据为空`);
         continue;
       }
-      await fs.writeFile(filePath, buffer);
+      if (metadata && config.embedMetadataEnabled) {
+        try {
+          const format = (detectImageMime(buffer) ?? img.mimeType).split("/")[1];
+          buffer = embedMetadata(buffer, { ...metadata, format });
+        } catch (err) {
+          // 元数据只是附加信息，写入失败时保存原图
+          debugLog(`[local] 图片 ${i + 1} 写入元数据失败: ${err.message}`);
+        }
+      }
+      const filePath = await writeFileWithoutOverwrite(basePath, ext, buffer);
       saved.push(filePath);
+      manifestFiles.push(describeFile(filePath, finalOutDir, buffer, img.mimeType));
     } catch (writeErr) {
       errors.push(`图片 ${i + 1}: 保存失败 - ${writeErr.message}`);
     }
@@ -86,17 +130,207 @@ export async function saveImages(images, outDir) {
 
   debugLog(`[local] 已保存 ${saved.length} 张图片到 ${finalOutDir}`);
 
-  return { saved, errors, finalOutDir, warningMsg };
+  let manifestPath = null;
+  if (metadata && manifestFiles.length > 0) {
+    const manifest = buildManifest(batchId, manifestFiles, metadata, inputImages, usage);
+    const candidate = path.join(finalOutDir, `image-${batchId}.json`);
+    try {
+      await fs.writeFile(candidate, JSON.stringify(manifest, null, 2), "utf-8");
+      manifestPath = candidate;
+    } catch (err) {
+      errors.push(`清单文件: 保存失败 - ${err.message}`);
+    }
+  }
+
+  return { saved, errors, finalOutDir, warningMsg, manifestPath, batchId };
+}
+
+// ============ 文件名模板 ============
+
+/** 文件名模板支持的占位符 */
+const FILENAME_TOKENS = ["batch", "date", "time", "session", "turn", "index", "model", "prompt_slug"];
+
+/**
+ * 校验文件名模板（在调用上游之前执行，避免生成后才发现模板无效）
+ * @param {string} template
+ * @throws {Error} 模板为空、为绝对路径、包含 ".." 或未知占位符时
+ */
+export function validateFilenameTemplate(template) {
+  const raw = String(template ?? "").trim();
+  if (!raw) {
+    throw new Error("文件名模板不能为空");
+  }
+  if (path.isAbsolute(raw) || /^[a-zA-Z]:/.test(raw)) {
+    throw new Error(`文件名模板必须是相对路径（相对于 outDir）: ${raw}`);
+  }
+  if (raw.split(/[\\/]/).some((segment) => segment.trim() === "..")) {
+    throw new Error(`文件名模板不能包含 "..": ${raw}`);
+  }
+  const unknown = [...raw.matchAll(/\{([^{}]*)\}/g)]
+    .map((m) => m[1])
+    .filter((name) => !FILENAME_TOKENS.includes(name));
+  if (unknown.length > 0) {
+    const supported = FILENAME_TOKENS.map((t) => `{${t}}`).join(" ");
+    throw new Error(`文件名模板包含未知占位符 {${unknown[0]}}，支持的占位符：${supported}`);
+  }
+}
+
+/**
+ * 构建文件名占位符的取值（{index} 由调用方逐张填充）
+ * @param {string} batchId
+ * @param {import("./metadata.js").ImageMetadata} [metadata]
+ * @returns {Record<string, string>}
+ */
+function buildFilenameTokens(batchId, metadata) {
+  const [date, time] = formatDateForFilename(new Date()).split("-");
+  return {
+    batch: batchId,
+    date,
+    time,
+    session: metadata?.session_id ?? "",
+    turn: metadata?.turn != null ? String(metadata.turn) : "",
+    model: metadata?.model ?? "",
+    prompt_slug: slugify(metadata?.user_prompt ?? metadata?.prompt) || "image",
+  };
+}
+
+/**
+ * 替换文件名中不安全的字符（路径分隔符、Windows 保留字符、控制字符）
+ */
+function sanitizeFilenameSegment(segment) {
+  return segment
+    .replace(/[\\/:*?"<>|\x00-\x1f]/g, "-")
+    .replace(/[. ]+$/, "")
+    .trim();
+}
+
+/**
+ * 按模板渲染相对路径（不含扩展名），模板中的 "/" 会生成子目录
+ * @param {string} template
+ * @param {Record<string, string>} tokens
+ * @returns {string}
+ */
+function renderFilename(template, tokens) {
+  const segments = String(template)
+    .trim()
+    .split(/[\\/]/)
+    .map((segment) =>
+      sanitizeFilenameSegment(segment.replace(/\{([a-z_]+)\}/g, (_, name) => sanitizeFilenameSegment(tokens[name] ?? "")))
+    )
+    .filter((segment) => segment && segment !== "." && segment !== "..");
+  return segments.length > 0 ? path.join(...segments) : `image-${tokens.batch}-${tokens.index}`;
+}
+
+/**
+ * 写入文件，不覆盖已有文件：重名时依次尝试追加 -2、-3 ……
+ * 自动创建模板中的子目录
+ * @param {string} basePath - 不含扩展名的路径
+ * @param {string} ext - 扩展名
+ * @param {Buffer} buffer
+ * @returns {Promise<string>} 实际写入的路径
+ */
+async function writeFileWithoutOverwrite(basePath, ext, buffer) {
+  await fs.mkdir(path.dirname(basePath), { recursive: true });
+  for (let attempt = 1; ; attempt += 1) {
+    const filePath = `${basePath}${attempt > 1 ? `-${attempt}` : ""}.${ext}`;
+    try {
+      await fs.writeFile(filePath, buffer, { flag: "wx" });
+      return filePath;
+    } catch (err) {
+      if (err.code !== "EEXIST" || attempt >= 9999) throw err;
+    }
+  }
+}
+
+// ============ 清单文件 ============
+
+/**
+ * 计算 SHA-256
+ */
+function sha256(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+/**
+ * 描述已保存的文件（哈希、尺寸等）
+ * @returns {ManifestFile}
+ */
+function describeFile(filePath, outDir, buffer, mimeType) {
+  const dimensions = readImageDimensions(buffer);
+  return {
+    file: path.relative(outDir, filePath).split(path.sep).join("/"),
+    path: filePath,
+    sha256: sha256(buffer),
+    mime_type: detectImageMime(buffer) ?? mimeType,
+    width: dimensions?.width ?? null,
+    height: dimensions?.height ?? null,
+    bytes: buffer.length,
+  };
+}
+
+/**
+ * 构建批次清单（供资产管线等自动化流程读取）
+ */
+function buildManifest(batchId, files, metadata, inputImages, usage) {
+  return {
+    batch_id: batchId,
+    created_at: metadata.timestamp,
+    prompt: metadata.prompt,
+    model: metadata.model,
+    mode: metadata.mode,
+    size: metadata.size,
+    session_id: metadata.session_id,
+    turn: metadata.turn,
+    style: metadata.style ?? null,
+    output_format: metadata.output_format ?? null,
+    quality: metadata.quality ?? null,
+    input_images: inputImages
+      .filter((img) => img?.base64)
+      .map((img) => ({
+        sha256: sha256(Buffer.from(img.base64, "base64")),
+        mime_type: img.mimeType,
+        ...(img.label ? { label: img.label } : {}),
+      })),
+    usage,
+    files,
+  };
+}
+
+/**
+ * @typedef {Object} GenerationInfo
+ * @property {string[]} [errors] - 生成阶段的失败信息（n>1 部分失败时）
+ * @property {string[]} [retries] - 上游重试记录
+ * @property {string[]} [texts] - 模型返回的文本
+ */
+
+/**
+ * 构建模型说明（模型随图片返回的文本）
+ * @param {string[]} texts
+ * @returns {string[]}
+ */
+export function formatModelNotes(texts = []) {
+  return texts.length > 0 ? [`💬 模型说明：`, ...texts, ""] : [];
+}
+
+/**
+ * 构建重试说明
+ * @param {string[]} retries
+ * @returns {string[]}
+ */
+function formatRetryNotes(retries = []) {
+  return retries.length > 0 ? [`🔁 上游请求重试 ${retries.length} 次：`, ...retries] : [];
 }
 
 /**
  * 构建保存结果的文本消息
  * @param {SaveResult} saveResult - 保存结果
  * @param {string} sessionId - 会话 ID
+ * @param {GenerationInfo} [generation] - 生成过程信息
  * @returns {string}
  */
-export function formatSaveResultText(saveResult, sessionId) {
-  const { saved, errors, warningMsg } = saveResult;
+export function formatSaveResultText(saveResult, sessionId, generation = {}) {
+  const { saved, warningMsg } = saveResult;
+  const errors = [...(generation.errors ?? []), ...saveResult.errors];
   const lines = [];
 
   if (warningMsg) {
@@ -113,11 +347,19 @@ export function formatSaveResultText(saveResult, sessionId) {
     }
   }
 
+  if (saveResult.manifestPath) {
+    lines.push(`🧾 清单: ${toDisplayPath(saveResult.manifestPath)}\n`);
+  }
+
+  lines.push(...formatModelNotes(generation.texts));
+
   if (errors.length > 0) {
     lines.push(`⚠️ 部分失败：`);
     lines.push(...errors);
   }
 
+  lines.push(...formatRetryNotes(generation.retries));
+
   lines.push(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
   lines.push(`🔗 session_id: ${sessionId}`);
   lines.push(`📌 如需修改此图片，下次调用时传入此 session_id`);
@@ -127,62 +369,185 @@ export function formatSaveResultText(saveResult, sessionId) {
 }
 
 /**
- * 构建 MCP 返回内容
+ * 格式化文件大小
+ */
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+/**
+ * 准备内联展示的图片：超过大小上限的图片替换为缩小的预览图
  * @param {ImageResult[]} images - 图片数据
- * @param {string} text - 文本消息
- * @param {boolean} includeInlineImages - 是否包含内联图片
- * @returns {Array}
+ * @param {number} maxBytes - 内联大小上限，<= 0 表示不限制
+ * @param {boolean} keepOriginal - 无法生成预览时是否仍内联原图
+ * @returns {Promise<{inline: Array, notes: string[]}>}
  */
-export function buildMcpContent(images, text, includeInlineImages = true) {
-  const content = [{ type: "text", text }];
+async function prepareInlineImages(images, maxBytes, keepOriginal) {
+  const inline = [];
+  const notes = [];
+
+  for (let i = 0; i < images.length; i += 1) {
+    const img = images[i];
+    if (!img.base64 || typeof img.base64 !== "string") continue;
 
-  if (!includeInlineImages) {
-    return content;
+    const estimatedSize = img.base64.length * 0.75;
+    if (maxBytes <= 0 || estimatedSize <= maxBytes) {
+      inline.push({ type: "image", mimeType: img.mimeType || "image/png", data: img.base64 });
+      continue;
+    }
+
+    const preview = await createPreview(img, maxBytes);
+    if (preview) {
+      inline.push({ type: "image", mimeType: preview.mimeType, data: preview.base64 });
+      const format = preview.mimeType.split("/")[1].toUpperCase();
+      notes.push(
+        `图片 ${i + 1}: 原图 ${formatSize(estimatedSize)}，内联展示的是 ${preview.width}×${preview.height} ${format} 预览（${formatSize(preview.bytes)}）`
+      );
+    } else if (keepOriginal) {
+      inline.push({ type: "image", mimeType: img.mimeType || "image/png", data: img.base64 });
+    } else {
+      notes.push(`图片 ${i + 1}: 原图 ${formatSize(estimatedSize)} 超过内联上限 ${formatSize(maxBytes)}，未内联展示`);
+    }
   }
 
+  return { inline, notes };
+}
+
+/**
+ * 构建 MCP 返回内容（超过 OPENAI_IMAGE_INLINE_MAX_SIZE 的图片以缩小的预览图内联）
+ * @param {ImageResult[]} images - 图片数据
+ * @param {string} text - 文本消息
+ * @param {boolean} includeInlineImages - 是否包含内联图片
+ * @returns {Promise<Array>}
+ */
+export async function buildMcpContent(images, text, includeInlineImages = true) {
   const inlineMaxSize = config.inlineMaxSize;
-  if (inlineMaxSize <= 0) {
-    return content;
-  }
-
-  for (const img of images) {
-    if (img.base64 && typeof img.base64 === "string") {
-      const estimatedSize = img.base64.length * 0.75;
-      if (estimatedSize <= inlineMaxSize) {
-        content.push({
-          type: "image",
-          mimeType: img.mimeType || "image/png",
-          data: img.base64,
-        });
-      }
-    }
+  if (!includeInlineImages || inlineMaxSize <= 0) {
+    return [{ type: "text", text }];
   }
 
-  return content;
+  const { inline, notes } = await prepareInlineImages(images, inlineMaxSize, false);
+  const previewNotes =
+    notes.length > 0 ? [``, `🖼️ 内联图片为预览，完整分辨率请查看上方保存的文件：`, ...notes] : [];
+
+  return [{ type: "text", text: [text, ...previewNotes].join("\n") }, ...inline];
 }
 
 /**
- * 构建仅图片模式的返回内容
+ * 构建仅图片模式的返回内容（超过内联上限的图片以缩小的预览图返回）
  * @param {ImageResult[]} images - 图片数据
  * @param {string} sessionId - 会话 ID
- * @returns {Array}
+ * @param {GenerationInfo} [generation] - 生成过程信息
+ * @returns {Promise<Array>}
  */
-export function buildImageOnlyContent(images, sessionId) {
+export async function buildImageOnlyContent(images, sessionId, generation = {}) {
+  const { inline, notes } = await prepareInlineImages(images, config.inlineMaxSize, true);
+
+  const errors = generation.errors ?? [];
+  const previewNotes =
+    notes.length > 0
+      ? [`🖼️ 以下为预览图（output=image 不保存原图，需要完整分辨率请使用 output=path）：`, ...notes]
+      : [];
+  const notesText = [
+    ...formatModelNotes(generation.texts),
+    ...(errors.length > 0 ? [`⚠️ 部分失败：`, ...errors] : []),
+    ...formatRetryNotes(generation.retries),
+    ...previewNotes,
+  ];
   const text = [
+    ...(notesText.length > 0 ? [...notesText, ""] : []),
     `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
     `🔗 session_id: ${sessionId}`,
     `📌 如需修改此图片，下次调用时传入此 session_id`,
     `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
   ].join("\n");
 
-  return [
-    { type: "text", text },
-    ...images.map((img) => ({
-      type: "image",
-      mimeType: img.mimeType,
-      data: img.base64,
-    })),
-  ];
+  return [{ type: "text", text }, ...inline];
+}
+
+/**
+ * 构建模型只返回文本时的内容
+ * @param {string[]} texts - 模型返回的文本
+ * @param {string} sessionId - 会话 ID
+ * @returns {Array}
+ */
+export function buildTextOnlyContent(texts, sessionId) {
+  const text = [
+    `💬 模型没有生成图片，回复如下：\n`,
+    ...texts,
+    `\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
+    `🔗 session_id: ${sessionId}`,
+    `📌 如需回应模型或调整描述，下次调用时传入此 session_id`,
+    `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`,
+  ].join("\n");
+
+  return [{ type: "text", text }];
+}
+
+/** 安全拦截类别的说明和建议 */
+const BLOCK_CATEGORY_INFO = {
+  prompt_blocked: {
+    title: "提示词被安全策略拦截",
+    explain: "上游在生成前就拒绝了这条提示词（或输入图片），模型没有开始生成。",
+    suggestion: "去掉可能被判定为敏感的描述（暴力、色情、真实人物等），用更中性的措辞重新描述",
+  },
+  safety: {
+    title: "生成内容触发安全过滤",
+    explain: "模型的输出被判定为可能有害，已被拦截。",
+    suggestion: "调整描述，避免涉及下方列出的安全类别；同一提示词直接重试通常仍会被拦截",
+  },
+  prohibited_content: {
+    title: "涉及禁止生成的内容",
+    explain: "请求涉及服务条款明确禁止的内容，无法通过调整参数绕过。",
+    suggestion: "更换主题，不要重复提交相同或相近的提示词",
+  },
+  image_safety: {
+    title: "生成的图片未通过安全审核",
+    explain: "模型已生成图片，但图片本身被图像安全过滤器拦截。",
+    suggestion: "弱化画面中可能敏感的元素（如裸露、血腥、武器、未成年人），或改为更抽象的风格",
+  },
+  recitation: {
+    title: "输出与受版权保护的内容过于相似",
+    explain: "生成结果与训练数据中的现有作品高度相似，被版权保护机制拦截。",
+    suggestion: "避免指定具体作品、角色或艺术家，改为描述风格特征并加入更多原创细节",
+  },
+  blocklist: {
+    title: "提示词包含屏蔽词",
+    explain: "提示词命中了上游配置的屏蔽词列表。",
+    suggestion: "删除或替换提示词中的敏感词汇后重试",
+  },
+  spii: {
+    title: "包含敏感个人信息",
+    explain: "请求或输出中包含敏感的个人身份信息。",
+    suggestion: "移除姓名、证件号、联系方式等个人信息后重试",
+  },
+  content_filter: {
+    title: "内容被上游内容过滤器拦截",
+    explain: "上游的内容审核判定请求或结果违反使用政策。",
+    suggestion: "调整描述，避免敏感主题后重试",
+  },
+};
+
+/**
+ * 构建安全拦截的错误信息
+ * @param {ContentBlockedError} err
+ * @returns {string}
+ */
+function formatBlockedError(err) {
+  const info = BLOCK_CATEGORY_INFO[err.category] ?? BLOCK_CATEGORY_INFO.content_filter;
+  const lines = [`🚫 生成被拦截：${info.title}（${err.reason}）`, info.explain];
+
+  if (err.safetyRatings.length > 0) {
+    lines.push(`相关安全类别：`);
+    for (const r of err.safetyRatings) {
+      lines.push(`- ${r.category}: ${r.probability}${r.blocked ? "（已拦截）" : ""}`);
+    }
+  }
+  if (err.modelText) {
+    lines.push(`上游说明：${err.modelText}`);
+  }
+  lines.push(`💡 建议：${info.suggestion}`);
+  return lines.join("\n");
 }
 
 /**
@@ -191,6 +556,13 @@ export function buildImageOnlyContent(images, sessionId) {
  * @returns {{isError: boolean, content: Array}}
  */
 export function buildErrorResponse(err) {
+  if (err instanceof ContentBlockedError) {
+    return {
+      isError: true,
+      content: [{ type: "text", text: formatBlockedError(err) }],
+    };
+  }
+
   const errMsg = err instanceof Error ? err.message : String(err);
   
   // 提供更友好的错误信息和建议
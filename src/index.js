@@ -8,9 +8,16 @@ import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js"
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  ErrorCode,
+  McpError,
 } from "@modelcontextprotocol/sdk/types.js";
 
-import { config } from "./config.js";
+import { config, DEFAULTS } from "./config.js";
 import {
   setMcpServer,
   debugLog,
@@ -20,6 +27,13 @@ import {
   getDefaultPicturesDir,
   parseDataUrl,
   isValidBase64,
+  createProgressReporter,
+  throwIfCancelled,
+  isLocalImagePath,
+  readLocalImageAsBase64,
+  detectImageMime,
+  fetchUrlAsBase64,
+  ResourceNotFoundError,
 } from "./utils.js";
 import {
   getOrCreateSession,
@@ -28,20 +42,46 @@ import {
   buildUserContent,
   startSessionCleanup,
   listAllSessions,
+  findSession,
+  listSessionTurns,
+  getTurnImage,
+  revertSession,
+  undoSession,
+  selectImage,
+  prepareSelection,
+  commitSelection,
+  deleteSession,
+  renameSession,
+  forkSession,
 } from "./session.js";
 import { generateImages } from "./api-client.js";
+import { resolveBackend, listProfiles, ENV_PROFILE_NAME } from "./profiles.js";
+import { parseOutputFormat, convertImages } from "./image-convert.js";
+import { parseHistoryStrategy } from "./history.js";
+import { resolveStyle, listStyles, applyStyle, toMcpPrompt, buildStylePromptMessages } from "./styles.js";
+import {
+  RESOURCE_TEMPLATES,
+  listResources,
+  readResource,
+  recordOutputs,
+  turnResourceLink,
+  listSessionOutputs,
+  sessionUri,
+} from "./resources.js";
 import {
   saveImages,
+  validateFilenameTemplate,
   formatSaveResultText,
   buildMcpContent,
   buildImageOnlyContent,
+  buildTextOnlyContent,
   buildErrorResponse,
 } from "./image-handler.js";
 
 // ============ MCP 服务器初始化 ============
 const server = new Server(
   { name: "gemini-images", version: "0.3.4" },
-  { capabilities: { tools: {}, logging: {} } }
+  { capabilities: { tools: {}, logging: {}, resources: { listChanged: true }, prompts: {} } }
 );
 
 // 设置服务器实例供日志模块使用
@@ -60,10 +100,12 @@ const GENERATE_IMAGE_TOOL = {
 - 如果用户要修改刚生成的图片（如"把背景改成蓝色"、"加个帽子"），必须传入上次返回的 session_id
 - 不传 session_id = 从零开始生成新图片
 - 传入 session_id = 基于之前的图片继续编辑
+- 传入 base_turn / base_image_index = 基于会话中较早的某一轮（或另一张候选图）继续编辑
 
 使用场景：
 - 用户说"画一个..."、"生成一张..."、"创建图片..."
 - 用户说"改一下..."、"把...换成..."、"加个..." → 需要传入 session_id
+- 用户要组合多张图片（如"把图 1 的产品放进图 2 的场景"）→ 使用 images 参数
 
 提示词技巧：prompt 越详细效果越好，建议包含：主体、风格、颜色、构图、光线等`,
   inputSchema: {
@@ -74,15 +116,70 @@ const GENERATE_IMAGE_TOOL = {
         description:
           "图片描述（必填）。详细描述想要生成的图片内容，或描述要对现有图片进行的修改",
       },
+      style: {
+        type: "string",
+        description:
+          "风格预设名称（可选）。自动为 prompt 补充风格描述、需要避免的内容，并使用预设的默认尺寸和模型。内置：photo、flat-vector、watercolor、anime、pixel-art、3d-render、sketch，另可在 styles.json 中自定义（客户端可通过 prompts/list 查看）",
+      },
+      profile: {
+        type: "string",
+        description:
+          "后端配置名称（可选）。使用 profiles.json 中定义的后端（baseUrl、apiKey、model、mode、默认尺寸）。可通过 list_profiles 查看可用的 profile，不传则使用默认配置",
+      },
       session_id: {
         type: "string",
         description:
           "会话 ID（关键参数）。如果用户要修改之前生成的图片，必须传入上次调用返回的 session_id。不传则创建新会话生成全新图片",
       },
+      select: {
+        type: "integer",
+        minimum: 1,
+        description:
+          "上一轮生成了多张候选图时（n>1），先选择第几张继续编辑（从 1 开始，需要 session_id）。默认使用第 1 张",
+      },
+      history: {
+        type: "string",
+        description:
+          "继续会话时的历史回放策略（可选）：full（全部历史）、last-image-only（只发送历史文本和本轮的基础图）、window:N（最近 N 轮）、byte-budget[:大小]（按大小上限保留，必要时缩小较早的图片）。默认取 OPENAI_IMAGE_HISTORY",
+      },
+      base_turn: {
+        type: "integer",
+        minimum: 1,
+        description:
+          "从会话中较早的某一轮继续编辑（需要 session_id，轮次见 get_session）。不传则基于上一轮的图片",
+      },
+      base_image_index: {
+        type: "integer",
+        minimum: 1,
+        description: "作为编辑基础的图片序号（该轮生成多张时使用，从 1 开始，默认 1）",
+      },
       image: {
         type: "string",
         description:
-          "输入图片（可选）。支持 base64 编码或 data:image/... URL。传入后将基于此图片进行编辑",
+          "输入图片（可选）。支持本地文件路径（绝对路径、~ 路径或 file:// URI）、http(s) URL、base64 编码或 data:image/... URL。优先传文件路径，避免传输大段 base64。传入后将基于此图片进行编辑",
+      },
+      images: {
+        type: "array",
+        items: {
+          oneOf: [
+            { type: "string" },
+            {
+              type: "object",
+              properties: {
+                image: { type: "string", description: "图片来源，格式同 image 参数" },
+                label: { type: "string", description: "图片标注，如 '产品' 或 '背景场景'" },
+              },
+              required: ["image"],
+            },
+          ],
+        },
+        description:
+          "多张参考图（可选，最多 14 张）。每项可以是图片字符串（格式同 image），或 { image, label } 对象。标注会随图片一起发送，便于在 prompt 中按“图片 1”“图片 2”或标注名引用。与 image 同时传入时，image 排在最前",
+      },
+      mask: {
+        type: "string",
+        description:
+          "遮罩图片（可选，仅 openai/images 模式，其他模式会报错；auto 模式下只使用 images API）。带透明通道的 PNG，透明区域为需要重绘的区域，尺寸需与输入图片一致。格式同 image 参数",
       },
       size: {
         oneOf: [{ type: "string" }, { type: "number" }, { type: "integer" }],
@@ -103,6 +200,21 @@ const GENERATE_IMAGE_TOOL = {
         description:
           "保存目录。指定图片保存的目录路径。如果不指定，默认保存到用户图片目录",
       },
+      format: {
+        type: "string",
+        enum: ["png", "jpeg", "webp"],
+        description:
+          "输出格式。默认保留上游返回的格式（通常为 PNG）。指定后在保存和返回前本地转换；gpt-image 模型直接由上游按此格式生成",
+      },
+      quality: {
+        type: "number",
+        description: "JPEG / WebP 质量（1-100），默认 90。PNG 忽略此参数",
+      },
+      filename: {
+        type: "string",
+        description:
+          "文件名模板（不含扩展名，可用 / 创建子目录）。占位符：{date} {time} {session} {turn} {index} {model} {prompt_slug} {batch}。例如 '{session}/{turn}-{prompt_slug}-{index}'。重名时自动追加数字后缀，不会覆盖",
+      },
     },
   },
 };
@@ -115,6 +227,7 @@ const LIST_SESSIONS_TOOL = {
 
 返回信息包括：
 - session_id: 会话 ID，可用于 generate_image 的 session_id 参数
+- title: 会话标题（通过 rename_session 设置）
 - messageCount: 对话历史消息数量
 - hasImage: 是否有已生成的图片
 - lastUsedAt: 最后使用时间`,
@@ -124,12 +237,154 @@ const LIST_SESSIONS_TOOL = {
   },
 };
 
+const GET_SESSION_TOOL = {
+  name: "get_session",
+  description: `查看会话的轮次时间线。
+
+返回每一轮的 prompt、模型回复、生成的图片数量和已保存的文件，并附带每一轮图片的资源链接（gemini-images://session/{id}/turn/{n}）。
+历史超出保留上限时，只能看到最近的轮次。`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      session_id: { type: "string", description: "会话 ID" },
+    },
+    required: ["session_id"],
+  },
+};
+
+const DELETE_SESSION_TOOL = {
+  name: "delete_session",
+  description: `删除会话及其会话图片（历史中的图片和上一轮图片）。
+
+已通过 generate_image 保存到 outDir 的图片文件不会被删除。`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      session_id: { type: "string", description: "会话 ID" },
+    },
+    required: ["session_id"],
+  },
+};
+
+const RENAME_SESSION_TOOL = {
+  name: "rename_session",
+  description: `为会话设置便于识别的标题（显示在 list_sessions 和资源列表中）。传入空标题表示清除。`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      session_id: { type: "string", description: "会话 ID" },
+      title: { type: "string", description: "会话标题" },
+    },
+    required: ["session_id", "title"],
+  },
+};
+
+const FORK_SESSION_TOOL = {
+  name: "fork_session",
+  description: `从会话的某一轮分叉出新会话。
+
+新会话复制该轮及之前的历史，并以该轮生成的图片作为下一次编辑的基础；之后两个会话互不影响。
+适合从同一张中间图出发尝试不同方向：分叉后分别用两个 session_id 继续 generate_image。`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      session_id: { type: "string", description: "源会话 ID" },
+      turn: {
+        type: "integer",
+        minimum: 1,
+        description: "分叉点（包含该轮，轮次见 get_session），默认最后一轮",
+      },
+      title: { type: "string", description: "新会话标题（可选）" },
+    },
+    required: ["session_id"],
+  },
+};
+
+const SELECT_IMAGE_TOOL = {
+  name: "select_image",
+  description: `从会话最后一轮生成的多张候选图（n>1）中选择一张作为后续编辑的基础。
+
+默认使用第 1 张；用户更喜欢其他候选图时调用此工具（或在下一次 generate_image 中传 select）。
+选择会同步到会话历史，回放给模型的历史与选择一致。`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      session_id: { type: "string", description: "会话 ID" },
+      index: { type: "integer", minimum: 1, description: "候选图序号（从 1 开始）" },
+    },
+    required: ["session_id", "index"],
+  },
+};
+
+const UNDO_TOOL = {
+  name: "undo",
+  description: `撤销会话的最后一轮，下一次编辑将基于剩余历史中最后生成的图片。被撤销轮次的历史和图片会被删除。`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      session_id: { type: "string", description: "会话 ID" },
+    },
+    required: ["session_id"],
+  },
+};
+
+const REVERT_TO_TOOL = {
+  name: "revert_to",
+  description: `回退到会话的某一轮，以该轮的某张图片作为后续编辑的基础。
+
+- mode=truncate（默认）：删除该轮之后的历史和图片
+- mode=branch：原会话保持不变，从该轮分叉出新会话并返回新的 session_id
+
+只想临时基于某一轮编辑一次、不改动历史时，可直接在 generate_image 中传 base_turn。`,
+  inputSchema: {
+    type: "object",
+    properties: {
+      session_id: { type: "string", description: "会话 ID" },
+      turn: { type: "integer", minimum: 1, description: "目标轮次（见 get_session）" },
+      image_index: {
+        type: "integer",
+        minimum: 1,
+        description: "该轮图片的序号（从 1 开始，默认 1）",
+      },
+      mode: {
+        type: "string",
+        enum: ["truncate", "branch"],
+        description: "truncate：丢弃之后的历史（默认）；branch：分叉出新会话",
+      },
+    },
+    required: ["session_id", "turn"],
+  },
+};
+
+const LIST_PROFILES_TOOL = {
+  name: "list_profiles",
+  description: `列出已配置的后端 profile（密钥已脱敏）。
+
+profile 定义在 profiles.json 中（默认 ~/.gemini-images/profiles.json），每个 profile 包含 baseUrl、apiKey、model、mode 和默认尺寸。
+调用 generate_image 时通过 profile 参数选择后端；"env" 表示环境变量中的配置。`,
+  inputSchema: {
+    type: "object",
+    properties: {},
+  },
+};
+
 // ============ 请求处理器 ============
 server.setRequestHandler(ListToolsRequestSchema, async () => ({
-  tools: [GENERATE_IMAGE_TOOL, LIST_SESSIONS_TOOL],
+  tools: [
+    GENERATE_IMAGE_TOOL,
+    LIST_SESSIONS_TOOL,
+    GET_SESSION_TOOL,
+    DELETE_SESSION_TOOL,
+    RENAME_SESSION_TOOL,
+    FORK_SESSION_TOOL,
+    SELECT_IMAGE_TOOL,
+    UNDO_TOOL,
+    REVERT_TO_TOOL,
+    LIST_PROFILES_TOOL,
+  ],
 }));
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
   const toolName = request.params?.name;
   // 支持多种工具名变体，提高健壮性
   // 有些客户端可能添加前缀如 "mcp__gemini-image__" 或 "gemini-image__"
@@ -141,6 +396,24 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     return handleListSessions();
   }
 
+  if (Object.hasOwn(SESSION_TOOL_HANDLERS, normalizedName)) {
+    try {
+      const result = SESSION_TOOL_HANDLERS[normalizedName](request.params?.arguments ?? {});
+      if (normalizedName !== "get_session" && !result.isError) notifyResourceListChanged();
+      return result;
+    } catch (err) {
+      return { isError: true, content: [{ type: "text", text: `❌ ${err.message}` }] };
+    }
+  }
+
+  if (normalizedName === "list_profiles") {
+    try {
+      return handleListProfiles();
+    } catch (err) {
+      return buildErrorResponse(err);
+    }
+  }
+
   if (normalizedName !== "generate_image") {
     return {
       isError: true,
@@ -149,12 +422,66 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
   }
 
   try {
-    return await handleGenerateImage(request.params?.arguments ?? {});
+    const result = await handleGenerateImage(request.params?.arguments ?? {}, extra);
+    // 会话和已保存的图片都是资源，生成结束后通知客户端刷新资源列表
+    if (!result.isError) notifyResourceListChanged();
+    return result;
   } catch (err) {
     return buildErrorResponse(err);
   }
 });
 
+server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+  prompts: listStyles().map(toMcpPrompt),
+}));
+
+server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+  const { name, arguments: promptArgs = {} } = request.params;
+  const preset = listStyles().find((s) => s.name === name);
+  if (!preset) {
+    throw new McpError(ErrorCode.InvalidParams, `未知的风格预设: ${name}`);
+  }
+  const subject = String(promptArgs.subject ?? "").trim();
+  if (!subject) {
+    throw new McpError(ErrorCode.InvalidParams, "缺少参数 subject");
+  }
+  return {
+    description: toMcpPrompt(preset).description,
+    messages: buildStylePromptMessages(preset, subject),
+  };
+});
+
+server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+  resources: listResources(),
+}));
+
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+  resourceTemplates: RESOURCE_TEMPLATES,
+}));
+
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+  const uri = request.params.uri;
+  debugLog(`[resources] 读取: ${uri}`);
+  try {
+    return { contents: readResource(uri) };
+  } catch (err) {
+    if (err instanceof ResourceNotFoundError) {
+      // MCP 规范约定的 "Resource not found" 错误码
+      throw new McpError(-32002, err.message, { uri });
+    }
+    throw err;
+  }
+});
+
+/**
+ * 通知客户端资源列表已变化（发送失败不影响工具调用结果）
+ */
+function notifyResourceListChanged() {
+  server.sendResourceListChanged().catch((err) => {
+    debugLog(`[resources] 发送 list_changed 通知失败: ${err.message}`);
+  });
+}
+
 // ============ 核心业务逻辑 ============
 /**
  * 处理列出会话请求
@@ -175,7 +502,7 @@ function handleListSessions() {
   for (const s of sessions) {
     const age = formatAge(Date.now() - s.lastUsedAt);
     const imageIcon = s.hasImage ? "🖼️" : "📝";
-    lines.push(`${imageIcon} ${s.id}`);
+    lines.push(`${imageIcon} ${s.id}${s.title ? `  ${s.title}` : ""}`);
     lines.push(`   消息数: ${s.messageCount}, 最后使用: ${age}前`);
   }
   lines.push("\n使用 session_id 参数继续编辑: generate_image(prompt=\"...\", session_id=\"xxx\")");
@@ -185,6 +512,189 @@ function handleListSessions() {
   };
 }
 
+/** 会话管理工具 */
+const SESSION_TOOL_HANDLERS = {
+  get_session: handleGetSession,
+  delete_session: handleDeleteSession,
+  rename_session: handleRenameSession,
+  fork_session: handleForkSession,
+  select_image: handleSelectImage,
+  undo: handleUndo,
+  revert_to: handleRevertTo,
+};
+
+/**
+ * 解析 session_id 参数（会话管理工具必填）
+ */
+function parseSessionIdArg(args) {
+  const sessionId = String(args.session_id ?? args.sessionId ?? args.session ?? "").trim();
+  if (!sessionId) throw new Error("参数 session_id 不能为空");
+  return sessionId;
+}
+
+/**
+ * 处理查看会话请求：轮次时间线 + 每一轮图片的资源链接
+ */
+function handleGetSession(args) {
+  const sessionId = parseSessionIdArg(args);
+  const session = findSession(sessionId);
+  if (!session) {
+    return { isError: true, content: [{ type: "text", text: `会话不存在或已过期: ${sessionId}` }] };
+  }
+
+  const turns = listSessionTurns(session);
+  const outputs = listSessionOutputs(session.id);
+
+  const lines = [`会话 ${session.id}${session.title ? `（${session.title}）` : ""}`];
+  if (session.forkedFrom) {
+    lines.push(`分叉自: ${session.forkedFrom.sessionId} 第 ${session.forkedFrom.turn} 轮`);
+  }
+  lines.push(`轮次: ${session.turnCount}, 创建于 ${formatAge(Date.now() - session.createdAt)}前, 最后使用 ${formatAge(Date.now() - session.lastUsedAt)}前`);
+  if (turns.length > 0 && turns[0].turn > 1) {
+    lines.push(`（历史已截断，仅保留第 ${turns[0].turn} 轮之后的记录）`);
+  }
+
+  const links = [];
+  for (const t of turns) {
+    lines.push("");
+    lines.push(`#${t.turn} ${t.prompt || "(无文本)"}`);
+    if (t.inputImageCount > 0) lines.push(`   输入图片: ${t.inputImageCount} 张`);
+    if (t.images.length > 0) {
+      const candidates = t.images.length > 1 ? `（序号 1-${t.images.length}，选中第 ${t.selected} 张）` : "";
+      lines.push(`   🖼️ 生成图片: ${t.images.length} 张${candidates}`);
+    }
+    if (t.text) lines.push(`   💬 ${t.text}`);
+    for (const entry of outputs.filter((o) => o.turn === t.turn)) {
+      lines.push(`   📁 ${entry.path}`);
+    }
+    if (t.images.length > 0) links.push(turnResourceLink(session.id, t.turn, t.prompt));
+  }
+  if (turns.length === 0) {
+    lines.push("\n该会话还没有任何轮次。");
+  }
+
+  return {
+    content: [{ type: "text", text: lines.join("\n") }, ...links],
+  };
+}
+
+/**
+ * 处理删除会话请求
+ */
+function handleDeleteSession(args) {
+  const sessionId = parseSessionIdArg(args);
+  if (!deleteSession(sessionId)) {
+    return { isError: true, content: [{ type: "text", text: `会话不存在: ${sessionId}` }] };
+  }
+  return {
+    content: [{ type: "text", text: `🗑️ 已删除会话 ${sessionId}（已保存到 outDir 的图片文件未删除）` }],
+  };
+}
+
+/**
+ * 处理重命名会话请求
+ */
+function handleRenameSession(args) {
+  const sessionId = parseSessionIdArg(args);
+  const session = renameSession(sessionId, args.title ?? args.name);
+  if (!session) {
+    return { isError: true, content: [{ type: "text", text: `会话不存在或已过期: ${sessionId}` }] };
+  }
+  const text = session.title
+    ? `✏️ 会话 ${session.id} 已命名为: ${session.title}`
+    : `✏️ 已清除会话 ${session.id} 的标题`;
+  return { content: [{ type: "text", text }] };
+}
+
+/**
+ * 处理分叉会话请求
+ */
+function handleForkSession(args) {
+  const sessionId = parseSessionIdArg(args);
+  const turnArg = args.turn ?? args.at_turn ?? null;
+  const turn = turnArg == null ? undefined : parseIntOr(turnArg, NaN);
+  const fork = forkSession(sessionId, { turn, title: args.title });
+
+  const lines = [
+    `🌿 已从会话 ${sessionId} 第 ${fork.forkedFrom.turn} 轮分叉出新会话: ${fork.id}${fork.title ? `（${fork.title}）` : ""}`,
+    fork.lastImage ? "下一次编辑将以该轮生成的图片为基础。" : "分叉点之前没有生成的图片。",
+    `\n继续编辑: generate_image(prompt="...", session_id="${fork.id}")`,
+  ];
+  return {
+    content: [
+      { type: "text", text: lines.join("\n") },
+      { type: "resource_link", uri: sessionUri(fork.id), name: `session-${fork.id}`, mimeType: "application/json" },
+    ],
+  };
+}
+
+/**
+ * 处理选择候选图请求
+ */
+function handleSelectImage(args) {
+  const index = parseIntOr(args.index ?? args.image_index ?? args.select, NaN);
+  const { session, turn, count } = selectImage(parseSessionIdArg(args), index);
+  const text = `✅ 会话 ${session.id} 第 ${turn} 轮已选择第 ${index}/${count} 张图片，下一次编辑将基于这张图片`;
+  return { content: [{ type: "text", text }] };
+}
+
+/**
+ * 处理撤销请求
+ */
+function handleUndo(args) {
+  const session = undoSession(parseSessionIdArg(args));
+  const lines = [
+    `↩️ 已撤销，会话 ${session.id} 当前为第 ${session.turnCount} 轮`,
+    session.lastImage ? "下一次编辑将基于剩余历史中最后生成的图片。" : "会话中已没有生成的图片，下一次将从零生成。",
+  ];
+  return { content: [{ type: "text", text: lines.join("\n") }] };
+}
+
+/**
+ * 处理回退请求
+ */
+function handleRevertTo(args) {
+  const sessionId = parseSessionIdArg(args);
+  const turn = parseIntOr(args.turn ?? args.base_turn, NaN);
+  if (!Number.isInteger(turn) || turn < 1) throw new Error("参数 turn 必须是正整数");
+  const imageIndex = parseIntOr(args.image_index ?? args.base_image_index, 1);
+  const mode = String(args.mode ?? "truncate").trim().toLowerCase() === "branch" ? "branch" : "truncate";
+
+  const session = revertSession(sessionId, { turn, imageIndex, mode });
+  const lines = mode === "branch"
+    ? [
+        `🌿 已从会话 ${sessionId} 第 ${turn} 轮分叉出新会话: ${session.id}，以第 ${imageIndex} 张图片为编辑基础`,
+        `\n继续编辑: generate_image(prompt="...", session_id="${session.id}")`,
+      ]
+    : [`⏪ 会话 ${session.id} 已回退到第 ${turn} 轮，以第 ${imageIndex} 张图片为编辑基础（之后的历史已删除）`];
+  return { content: [{ type: "text", text: lines.join("\n") }] };
+}
+
+/**
+ * 处理列出后端 profile 请求
+ */
+function handleListProfiles() {
+  const profiles = listProfiles();
+
+  const lines = [`后端配置（${config.profilesFile}）：\n`];
+  for (const p of profiles) {
+    lines.push(`${p.isDefault ? "⭐" : "•"} ${p.name}${p.isDefault ? "（默认）" : ""}`);
+    lines.push(p.mode === "vertex"
+      ? `   vertex: ${p.vertex.project || "(project_id)"} @ ${p.vertex.location}`
+      : `   baseUrl: ${p.baseUrl}`);
+    lines.push(`   model: ${p.model}, mode: ${p.mode}, size: ${p.defaultSize}`);
+    lines.push(`   apiKey: ${p.apiKey || "(未设置)"}`);
+  }
+  if (profiles.length === 1) {
+    lines.push("\n尚未定义其他 profile，可在上述文件中添加。");
+  }
+  lines.push("\n使用 profile 参数选择后端: generate_image(prompt=\"...\", profile=\"xxx\")");
+
+  return {
+    content: [{ type: "text", text: lines.join("\n") }],
+  };
+}
+
 /**
  * 格式化时间差
  */
@@ -201,14 +711,28 @@ function formatAge(ms) {
 
 /**
  * 处理图片生成请求
+ * @param {Object} args - 工具参数
+ * @param {Object} [extra] - MCP 请求上下文（用于进度通知和取消信号）
  */
-async function handleGenerateImage(args) {
+async function handleGenerateImage(args, extra) {
+  const onProgress = createProgressReporter(extra);
+  const signal = extra?.signal;
+
   // 解析 prompt
-  const prompt = parsePrompt(args.prompt);
-  if (!prompt) {
+  const rawPrompt = parsePrompt(args.prompt);
+  if (!rawPrompt) {
     return { isError: true, content: [{ type: "text", text: "参数 prompt 不能为空" }] };
   }
 
+  // 解析后端配置
+  const backend = resolveBackend(args.profile ?? args.backend ?? null);
+
+  // 解析风格预设（补充风格描述；预设中的尺寸和模型作为默认值，使用命名 profile 时以 profile 为准）
+  const style = resolveStyle(args.style ?? args.preset ?? null);
+  const prompt = applyStyle(rawPrompt, style);
+  const styleDefaults = backend.name === ENV_PROFILE_NAME ? style : null;
+  const model = styleDefaults?.model || backend.model;
+
   // 解析会话
   const sessionId = args.session_id ?? args.sessionId ?? args.session ?? null;
   const session = getOrCreateSession(sessionId);
@@ -218,13 +742,25 @@ async function handleGenerateImage(args) {
     `[session] ${isNew ? "创建新会话" : "继续会话"}: ${session.id}, 历史消息数: ${session.messages.length}`
   );
 
+  // 选择上一轮的候选图：本次调用的输入和历史使用选中的图片，生成成功后才写入会话
+  const selectArg = args.select ?? args.select_image ?? null;
+  let selection = null;
+  if (selectArg != null) {
+    if (isNew) throw new Error("select 需要同时传入有效的 session_id");
+    selection = prepareSelection(session, parseIntOr(selectArg, NaN));
+  }
+
   // 解析输入图片
-  const inputImage = parseInputImage(args, isNew, session);
+  const inputImages = await parseInputImages(args, isNew, session, signal, selection);
+  const mask = await parseMask(args, inputImages, backend.mode, signal);
 
   // 解析其他参数
-  const size = parseSize(args.size);
+  const size = parseSize(args.size, styleDefaults?.size || backend.defaultSize);
   const n = clampInt(parseIntOr(args.n, 1), 1, 4);
   const output = parseOutput(args.output);
+  const format = parseOutputFormat(args.format ?? config.outputFormat);
+  const quality = clampInt(parseIntOr(args.quality, config.outputQuality), 1, 100);
+  const history = parseHistoryStrategy(args.history ?? config.historyStrategy);
   let outDir = resolveOutDir(
     args.outDir ?? args.out_dir ?? args.outdir ?? args.output_dir ?? config.defaultOutDir
   );
@@ -247,32 +783,87 @@ async function handleGenerateImage(args) {
     };
   }
 
+  // 文件名模板在调用上游之前校验，避免生成后才报错
+  const filenameTemplate = String(args.filename ?? args.file_name ?? config.filenameTemplate).trim();
+  if (output === "path") {
+    validateFilenameTemplate(filenameTemplate);
+  }
+
   // 调用 API 生成图片
-  const images = await generateImages({
-    baseUrl: config.baseUrl,
-    apiKey: config.apiKey,
-    model: config.model,
+  const generation = await generateImages({
+    baseUrl: backend.baseUrl,
+    apiKey: backend.apiKey,
+    model,
+    mode: backend.mode,
+    vertex: backend.vertex,
+    stream: backend.stream,
     prompt,
     size,
     n,
     timeoutMs: config.timeoutMs,
-    historyMessages: session.messages,
-    inputImage,
+    historyMessages: selection?.messages ?? session.messages,
+    history,
+    inputImages,
+    mask,
+    format,
+    quality,
+    onProgress,
+    signal,
   });
 
+  // 已取消的调用不写入会话、不保存文件
+  throwIfCancelled(signal);
+  const { images, texts } = generation;
+
   // 更新会话状态
-  const userContent = buildUserContent(prompt, inputImage);
-  updateSession(session, userContent, images);
+  const userContent = buildUserContent(prompt, inputImages);
+  if (selection) commitSelection(session, selection);
+  updateSession(session, userContent, images, texts, generation.modelParts);
+
+  // 模型只返回了文本（澄清问题、拒绝原因等），直接返回文本
+  if (images.length === 0) {
+    return { content: buildTextOnlyContent(texts, session.id) };
+  }
+
+  // 按需转换输出格式（会话历史保留上游原图）
+  const conversion = await convertImages(images, { format, quality });
+  const outputImages = conversion.images;
+  const generationInfo = { ...generation, errors: [...generation.errors, ...conversion.errors] };
 
   // 构建返回结果
   if (output === "image") {
-    return { content: buildImageOnlyContent(images, session.id) };
+    const content = await buildImageOnlyContent(outputImages, session.id, generationInfo);
+    return { content: [...content, turnResourceLink(session.id, session.turnCount, rawPrompt)] };
   }
 
-  // 保存图片并返回
-  const saveResult = await saveImages(images, outDir);
-  const text = formatSaveResultText(saveResult, session.id);
-  const content = buildMcpContent(images, text);
+  // 保存图片并返回（文件中写入生成信息，并在同目录生成清单，便于事后追溯）
+  const metadata = {
+    prompt,
+    model,
+    mode: generation.mode,
+    size,
+    session_id: session.id,
+    turn: session.turnCount,
+    timestamp: new Date().toISOString(),
+    ...(style ? { style: style.name, user_prompt: rawPrompt } : {}),
+    ...(format ? { output_format: format } : {}),
+    ...(format && format !== "png" ? { quality } : {}),
+  };
+  const saveResult = await saveImages(outputImages, outDir, {
+    onProgress,
+    metadata,
+    inputImages,
+    usage: generation.usage,
+    filenameTemplate,
+  });
+  const text = formatSaveResultText(saveResult, session.id, generationInfo);
+  const content = await buildMcpContent(outputImages, text);
+  const links = recordOutputs(saveResult.batchId, saveResult.saved, {
+    prompt: rawPrompt,
+    sessionId: session.id,
+    turn: session.turnCount,
+  });
+  content.push(...links);
 
   return { content };
 }
@@ -291,8 +882,8 @@ function parsePrompt(raw) {
 /**
  * 解析 size 参数
  */
-function parseSize(raw) {
-  let size = String(raw ?? config.defaultSize).trim();
+function parseSize(raw, defaultSize = config.defaultSize) {
+  let size = String(raw ?? defaultSize).trim();
   if (/^\d+$/.test(size)) {
     size = `${size}x${size}`;
   }
@@ -308,30 +899,132 @@ function parseOutput(raw) {
 }
 
 /**
- * 解析输入图片参数
+ * 解析单个输入图片
+ * 支持 data URL、base64、本地路径（绝对路径 / ~ 路径 / file:// URI）和 http(s) URL
  */
-function parseInputImage(args, isNew, session) {
+async function parseInputImage(imageArg, signal) {
+  const raw = String(imageArg ?? "").trim();
+  if (!raw) return null;
+
+  const parsed = parseDataUrl(raw);
+  if (parsed) {
+    return { base64: parsed.base64, mimeType: parsed.mimeType };
+  }
+  if (/^https?:\/\//i.test(raw)) {
+    debugLog(`[input] 从 URL 拉取输入图片: ${raw}`);
+    return await fetchUrlAsBase64(raw, config.timeoutMs, signal);
+  }
+  // 先识别 base64 图片：JPEG 的 base64 以 "/9j/" 开头，会被误判为绝对路径
+  const base64 = isValidBase64(raw);
+  const detectedMime = base64 ? detectImageMime(Buffer.from(raw, "base64")) : null;
+  if (detectedMime) {
+    return { base64: raw, mimeType: detectedMime };
+  }
+  if (isLocalImagePath(raw)) {
+    debugLog(`[input] 从本地文件读取输入图片: ${raw}`);
+    return await readLocalImageAsBase64(raw);
+  }
+  if (base64) {
+    return { base64: raw, mimeType: "image/png" };
+  }
+  // 无法识别时报错，而不是悄悄退化为不带输入图片的文生图
+  throw new Error(
+    "无法解析输入图片参数：请传入绝对路径、~ 路径、file:// URI、http(s) URL、data URL 或 base64（不支持相对路径）"
+  );
+}
+
+/**
+ * 解析输入图片参数（image + images），返回参考图列表
+ * images 的元素可以是字符串，也可以是 { image, label } 对象
+ */
+async function parseInputImages(args, isNew, session, signal, selection = null) {
+  const entries = [];
   const imageArg = args.image ?? args.input_image ?? args.inputImage ?? null;
+  if (imageArg) entries.push({ source: imageArg });
 
-  if (imageArg) {
-    const parsed = parseDataUrl(imageArg);
-    if (parsed) {
-      return { base64: parsed.base64, mimeType: parsed.mimeType };
+  const imagesArg = args.images ?? args.input_images ?? args.inputImages ?? [];
+  for (const item of Array.isArray(imagesArg) ? imagesArg : [imagesArg]) {
+    if (typeof item === "string") {
+      entries.push({ source: item });
+    } else if (item && typeof item === "object") {
+      const source = item.image ?? item.url ?? item.path ?? item.data ?? null;
+      const label = String(item.label ?? "").trim();
+      entries.push({ source, label: label || undefined });
     }
-    if (isValidBase64(imageArg)) {
-      return { base64: imageArg, mimeType: "image/png" };
-    }
-    debugLog(`[session] 无法解析输入图片参数`);
-    return null;
   }
 
+  if (entries.length > DEFAULTS.MAX_INPUT_IMAGES) {
+    throw new Error(`输入图片过多：最多 ${DEFAULTS.MAX_INPUT_IMAGES} 张，实际 ${entries.length} 张`);
+  }
+
+  const images = [];
+  for (const { source, label } of entries) {
+    const img = await parseInputImage(source, signal);
+    if (img) images.push(label ? { ...img, label } : img);
+  }
+
+  // 指定了较早的轮次或其他候选图时，以该图为编辑基础（显式传入的图片作为参考图放在其后）
+  const baseImage = resolveBaseImage(args, isNew, session);
+  if (baseImage) return [baseImage, ...images];
+  if (images.length > 0) return images;
+
   // 继续会话时，自动使用上一轮生成的图片
+  if (!isNew && selection) {
+    debugLog(`[session] 使用上一轮选中的第 ${selection.index} 张图片进行编辑`);
+    return [selection.image];
+  }
   if (!isNew && session.lastImage) {
     debugLog(`[session] 使用上一轮生成的图片进行编辑`);
-    return session.lastImage;
+    return [session.lastImage];
   }
 
-  return null;
+  return [];
+}
+
+/**
+ * 解析 base_turn / base_image_index 参数，返回会话中对应轮次的图片
+ * 只传 base_image_index 时使用最后一轮
+ * @returns {Object | null} 未指定时返回 null
+ */
+function resolveBaseImage(args, isNew, session) {
+  const turnArg = args.base_turn ?? args.baseTurn ?? null;
+  const indexArg = args.base_image_index ?? args.baseImageIndex ?? null;
+  if (turnArg == null && indexArg == null) return null;
+
+  if (isNew) {
+    throw new Error("base_turn / base_image_index 需要同时传入有效的 session_id");
+  }
+  const turn = turnArg == null ? session.turnCount : parseIntOr(turnArg, NaN);
+  const index = indexArg == null ? 1 : parseIntOr(indexArg, NaN);
+  const image = Number.isInteger(turn) && Number.isInteger(index) ? getTurnImage(session, turn, index) : null;
+  if (!image) {
+    throw new Error(`会话 ${session.id} 中没有第 ${turnArg ?? turn} 轮的第 ${index} 张图片（可通过 get_session 查看）`);
+  }
+  debugLog(`[session] 基于第 ${turn} 轮的第 ${index} 张图片进行编辑`);
+  return image;
+}
+
+/**
+ * 解析遮罩参数（仅 openai/images 模式的 images/edits 使用）
+ */
+async function parseMask(args, inputImages, mode, signal) {
+  const maskArg = args.mask ?? args.mask_image ?? args.maskImage ?? null;
+  if (!maskArg) return null;
+
+  const mask = await parseInputImage(maskArg, signal);
+  if (!mask) {
+    throw new Error("无法解析 mask 参数，请传入 PNG 图片的路径、URL 或 base64");
+  }
+  if (mask.mimeType !== "image/png") {
+    throw new Error(`mask 必须是带透明通道的 PNG 图片（实际: ${mask.mimeType}）`);
+  }
+  if (inputImages.length === 0) {
+    throw new Error("使用 mask 时需要同时提供输入图片（image 参数或 session_id）");
+  }
+  if (!["openai", "images", "auto"].includes(mode)) {
+    throw new Error(`当前模式 ${mode} 不支持 mask：遮罩只能通过 openai / images 模式的 /v1/images/edits 发送`);
+  }
+  return mask;
 }
 
 // ============ 服务器启动 ============
@@ -0,0 +1,443 @@
+/**
+ * 图片元数据模块 - 将生成信息写入图片文件 / 从图片文件读回（纯 JS，无原生依赖）
+ *
+ * - PNG：iTXt 块（关键字 "gemini-images" 保存完整 JSON，"Description" 保存 prompt）+ tEXt "Software"
+ * - JPEG：APP1 XMP 段
+ * - WebP：RIFF "XMP " 块（必要时把简单格式 VP8 / VP8L 升级为扩展格式 VP8X）
+ *
+ * 元数据以 JSON 形式保存在自定义字段中，读回时原样解析。
+ * 另提供从文件头读取图片尺寸的工具函数（清单文件使用）。
+ */
+import zlib from "node:zlib";
+import { detectImageMime } from "./utils.js";
+
+/** PNG 文本块 / XMP 中使用的关键字 */
+const METADATA_KEYWORD = "gemini-images";
+const XMP_NAMESPACE = "https://github.com/laomeifun/gemini-images/ns/1.0/";
+const XMP_APP1_HEADER = "http://ns.adobe.com/xap/1.0/\0";
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * @typedef {Object} ImageMetadata
+ * @property {string} prompt - 完整 prompt
+ * @property {string} model - 模型名称
+ * @property {string} mode - 实际使用的 API 模式
+ * @property {string} size - 请求的尺寸
+ * @property {string} session_id - 会话 ID
+ * @property {number} turn - 会话中的轮次（从 1 开始）
+ * @property {string} timestamp - 生成时间（ISO 8601）
+ * @property {string} [style] - 使用的风格预设
+ * @property {string} [user_prompt] - 应用风格预设前用户输入的 prompt
+ * @property {string} [format] - 文件的实际格式（png | jpeg | webp，保存时按文件内容填写）
+ * @property {string} [output_format] - 请求的输出格式（未指定时保留上游格式）
+ * @property {number} [quality] - JPEG / WebP 质量
+ */
+
+// ============ 写入 ============
+
+/**
+ * 将元数据写入图片，返回新的 Buffer（不支持的格式原样返回）
+ * @param {Buffer} buffer - 图片数据
+ * @param {ImageMetadata} metadata
+ * @returns {Buffer}
+ */
+export function embedMetadata(buffer, metadata) {
+  switch (detectImageMime(buffer)) {
+    case "image/png":
+      return embedPngMetadata(buffer, metadata);
+    case "image/jpeg":
+      return embedJpegMetadata(buffer, metadata);
+    case "image/webp":
+      return embedWebpMetadata(buffer, metadata);
+    default:
+      return buffer;
+  }
+}
+
+// ---- PNG ----
+
+/** CRC32 查找表（PNG 块校验） */
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * 计算 CRC32
+ */
+function crc32(buffer) {
+  let c = 0xffffffff;
+  for (const byte of buffer) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 构建 PNG 块
+ */
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, "latin1"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * 构建 tEXt 块（仅 Latin-1）
+ */
+function pngTextChunk(keyword, text) {
+  return pngChunk("tEXt", Buffer.from(`${keyword}\0${text}`, "latin1"));
+}
+
+/**
+ * 构建 iTXt 块（UTF-8，未压缩）
+ */
+function pngITextChunk(keyword, text) {
+  return pngChunk(
+    "iTXt",
+    Buffer.concat([Buffer.from(`${keyword}\0\0\0\0\0`, "latin1"), Buffer.from(text, "utf-8")])
+  );
+}
+
+/**
+ * 遍历 PNG 块
+ * @returns {Array<{type: string, start: number, end: number, data: Buffer}>}
+ */
+function readPngChunks(buffer) {
+  const chunks = [];
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > buffer.length) break;
+    chunks.push({ type, start: offset, end, data: buffer.subarray(offset + 8, offset + 8 + length) });
+    offset = end;
+    if (type === "IEND") break;
+  }
+  return chunks;
+}
+
+/**
+ * 写入 PNG 元数据：插入到 IHDR 之后，已有的同名块会被替换
+ */
+function embedPngMetadata(buffer, metadata) {
+  const chunks = readPngChunks(buffer);
+  const ihdr = chunks.find((c) => c.type === "IHDR");
+  if (!ihdr) return buffer;
+
+  const ours = [
+    pngTextChunk("Software", METADATA_KEYWORD),
+    pngITextChunk("Description", metadata.prompt ?? ""),
+    pngITextChunk(METADATA_KEYWORD, JSON.stringify(metadata)),
+  ];
+
+  const kept = chunks
+    .filter((c) => c.type !== "IHDR")
+    .filter((c) => {
+      const keyword = readPngTextKeyword(c);
+      return keyword === null || !["Software", "Description", METADATA_KEYWORD].includes(keyword);
+    })
+    .map((c) => buffer.subarray(c.start, c.end));
+
+  return Buffer.concat([PNG_SIGNATURE, buffer.subarray(ihdr.start, ihdr.end), ...ours, ...kept]);
+}
+
+/**
+ * 读取 PNG 文本块的关键字（非文本块返回 null）
+ */
+function readPngTextKeyword(chunk) {
+  if (!["tEXt", "iTXt", "zTXt"].includes(chunk.type)) return null;
+  const nul = chunk.data.indexOf(0);
+  return nul === -1 ? null : chunk.data.toString("latin1", 0, nul);
+}
+
+/**
+ * 解析 PNG 文本块内容
+ * @returns {{keyword: string, text: string} | null}
+ */
+function readPngText(chunk) {
+  const keyword = readPngTextKeyword(chunk);
+  if (keyword === null) return null;
+  const rest = chunk.data.subarray(keyword.length + 1);
+
+  if (chunk.type === "tEXt") return { keyword, text: rest.toString("latin1") };
+  if (chunk.type === "zTXt") return { keyword, text: zlib.inflateSync(rest.subarray(1)).toString("latin1") };
+
+  // iTXt: 压缩标志(1) 压缩方法(1) 语言标签\0 翻译关键字\0 文本
+  const compressed = rest[0] === 1;
+  const langEnd = rest.indexOf(0, 2);
+  const translatedEnd = rest.indexOf(0, langEnd + 1);
+  const body = rest.subarray(translatedEnd + 1);
+  return { keyword, text: (compressed ? zlib.inflateSync(body) : body).toString("utf-8") };
+}
+
+// ---- XMP（JPEG / WebP 共用） ----
+
+/**
+ * XML 转义
+ */
+function escapeXml(text) {
+  return String(text ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+/**
+ * XML 反转义
+ */
+function unescapeXml(text) {
+  return String(text ?? "")
+    .replaceAll("&quot;", '"')
+    .replaceAll("&gt;", ">")
+    .replaceAll("&lt;", "<")
+    .replaceAll("&amp;", "&");
+}
+
+/**
+ * 构建 XMP 数据包：dc:description 保存 prompt，gi:metadata 保存完整 JSON
+ */
+function buildXmpPacket(metadata) {
+  return [
+    `<?xpacket begin="﻿" id="W5M0MpCehiHzreSzNTczkc9d"?>`,
+    `<x:xmpmeta xmlns:x="adobe:ns:meta/">`,
+    `<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">`,
+    `<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:xmp="http://ns.adobe.com/xap/1.0/" xmlns:gi="${XMP_NAMESPACE}">`,
+    `<xmp:CreatorTool>${METADATA_KEYWORD}</xmp:CreatorTool>`,
+    `<xmp:CreateDate>${escapeXml(metadata.timestamp)}</xmp:CreateDate>`,
+    `<dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(metadata.prompt)}</rdf:li></rdf:Alt></dc:description>`,
+    `<gi:metadata>${escapeXml(JSON.stringify(metadata))}</gi:metadata>`,
+    `</rdf:Description>`,
+    `</rdf:RDF>`,
+    `</x:xmpmeta>`,
+    `<?xpacket end="w"?>`,
+  ].join("\n");
+}
+
+/**
+ * 从 XMP 数据包中解析元数据
+ */
+function parseXmpPacket(xmp) {
+  const match = /<gi:metadata>([\s\S]*?)<\/gi:metadata>/.exec(xmp);
+  return match ? JSON.parse(unescapeXml(match[1])) : null;
+}
+
+// ---- JPEG ----
+
+/**
+ * 遍历 JPEG 段（到 SOS 为止）
+ * @returns {Array<{marker: number, start: number, end: number}>}
+ */
+function readJpegSegments(buffer) {
+  const segments = [];
+  let offset = 2;
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1];
+    if (marker === 0xda) break; // SOS 之后是图像数据
+    const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+    segments.push({ marker, start: offset, end });
+    offset = end;
+  }
+  return segments;
+}
+
+/**
+ * 是否为我们写入的 XMP APP1 段
+ */
+function isXmpSegment(buffer, segment) {
+  return (
+    segment.marker === 0xe1 &&
+    buffer.toString("latin1", segment.start + 4, segment.start + 4 + XMP_APP1_HEADER.length) === XMP_APP1_HEADER
+  );
+}
+
+/**
+ * 写入 JPEG 元数据：XMP APP1 段插入到 APP0 (JFIF) 之后，替换已有的 XMP 段
+ */
+function embedJpegMetadata(buffer, metadata) {
+  const payload = Buffer.concat([
+    Buffer.from(XMP_APP1_HEADER, "latin1"),
+    Buffer.from(buildXmpPacket(metadata), "utf-8"),
+  ]);
+  // 单个 APP1 段最大 65533 字节，超长的 prompt 不写入
+  if (payload.length + 2 > 0xffff) return buffer;
+
+  const header = Buffer.alloc(4);
+  header.writeUInt16BE(0xffe1, 0);
+  header.writeUInt16BE(payload.length + 2, 2);
+  const segment = Buffer.concat([header, payload]);
+
+  const segments = readJpegSegments(buffer);
+  const app0 = segments.find((s) => s.marker === 0xe0 && s.start === 2);
+  const insertAt = app0 ? app0.end : 2;
+
+  const parts = [buffer.subarray(0, insertAt), segment];
+  let offset = insertAt;
+  for (const s of segments) {
+    if (s.start < insertAt || !isXmpSegment(buffer, s)) continue;
+    parts.push(buffer.subarray(offset, s.start));
+    offset = s.end;
+  }
+  parts.push(buffer.subarray(offset));
+  return Buffer.concat(parts);
+}
+
+// ---- WebP ----
+
+/**
+ * 遍历 RIFF 块
+ * @returns {Array<{type: string, start: number, end: number, data: Buffer}>}
+ */
+function readRiffChunks(buffer) {
+  const chunks = [];
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.toString("latin1", offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const end = Math.min(buffer.length, offset + 8 + size + (size % 2));
+    chunks.push({ type, start: offset, end, data: buffer.subarray(offset + 8, offset + 8 + size) });
+    offset = end;
+  }
+  return chunks;
+}
+
+/**
+ * 构建 RIFF 块（奇数长度补齐）
+ */
+function riffChunk(type, data) {
+  const header = Buffer.alloc(8);
+  header.write(type, 0, "latin1");
+  header.writeUInt32LE(data.length, 4);
+  return Buffer.concat([header, data, data.length % 2 ? Buffer.alloc(1) : Buffer.alloc(0)]);
+}
+
+/**
+ * 从 VP8 / VP8L 位流读取画布尺寸和是否含透明通道
+ * @returns {{width: number, height: number, alpha: boolean} | null}
+ */
+function readWebpBitstreamInfo(chunk) {
+  const d = chunk.data;
+  if (chunk.type === "VP8 " && d.length >= 10) {
+    return { width: d.readUInt16LE(6) & 0x3fff, height: d.readUInt16LE(8) & 0x3fff, alpha: false };
+  }
+  if (chunk.type === "VP8L" && d.length >= 5 && d[0] === 0x2f) {
+    const bits = d.readUInt32LE(1);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1, alpha: Boolean((bits >> 28) & 1) };
+  }
+  return null;
+}
+
+/**
+ * 写入 WebP 元数据：确保存在 VP8X 并设置 XMP 标志，替换 / 追加 "XMP " 块
+ */
+function embedWebpMetadata(buffer, metadata) {
+  const chunks = readRiffChunks(buffer);
+  if (chunks.length === 0) return buffer;
+
+  let vp8x;
+  if (chunks[0].type === "VP8X") {
+    vp8x = Buffer.from(chunks[0].data);
+  } else {
+    const info = readWebpBitstreamInfo(chunks[0]);
+    if (!info) return buffer;
+    vp8x = Buffer.alloc(10);
+    if (info.alpha) vp8x[0] |= 0x10;
+    vp8x.writeUIntLE(info.width - 1, 4, 3);
+    vp8x.writeUIntLE(info.height - 1, 7, 3);
+  }
+  vp8x[0] |= 0x04; // XMP 标志
+
+  const body = [
+    riffChunk("VP8X", vp8x),
+    ...chunks
+      .filter((c) => c.type !== "VP8X" && c.type !== "XMP ")
+      .map((c) => buffer.subarray(c.start, c.end)),
+    riffChunk("XMP ", Buffer.from(buildXmpPacket(metadata), "utf-8")),
+  ];
+  const payload = Buffer.concat([Buffer.from("WEBP", "latin1"), ...body]);
+
+  const header = Buffer.alloc(8);
+  header.write("RIFF", 0, "latin1");
+  header.writeUInt32LE(payload.length, 4);
+  return Buffer.concat([header, payload]);
+}
+
+// ============ 读取 ============
+
+/**
+ * 从图片中读回元数据（没有元数据时返回 null）
+ * @param {Buffer} buffer - 图片数据
+ * @returns {ImageMetadata | null}
+ */
+export function readMetadata(buffer) {
+  try {
+    switch (detectImageMime(buffer)) {
+      case "image/png": {
+        for (const chunk of readPngChunks(buffer)) {
+          const entry = readPngText(chunk);
+          if (entry?.keyword === METADATA_KEYWORD) return JSON.parse(entry.text);
+        }
+        return null;
+      }
+      case "image/jpeg": {
+        const segment = readJpegSegments(buffer).find((s) => isXmpSegment(buffer, s));
+        if (!segment) return null;
+        return parseXmpPacket(buffer.toString("utf-8", segment.start + 4 + XMP_APP1_HEADER.length, segment.end));
+      }
+      case "image/webp": {
+        const chunk = readRiffChunks(buffer).find((c) => c.type === "XMP ");
+        return chunk ? parseXmpPacket(chunk.data.toString("utf-8")) : null;
+      }
+      default:
+        return null;
+    }
+  } catch {
+    return null;
+  }
+}
+
+// ============ 尺寸 ============
+
+/** JPEG 帧头（SOFn）标记，不含 DHT / JPG / DAC */
+const JPEG_SOF_MARKERS = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+/**
+ * 从文件头读取图片尺寸（无法识别时返回 null）
+ * @param {Buffer} buffer - 图片数据
+ * @returns {{width: number, height: number} | null}
+ */
+export function readImageDimensions(buffer) {
+  try {
+    switch (detectImageMime(buffer)) {
+      case "image/png":
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+      case "image/gif":
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+      case "image/jpeg": {
+        const sof = readJpegSegments(buffer).find((s) => JPEG_SOF_MARKERS.has(s.marker));
+        if (!sof) return null;
+        return { width: buffer.readUInt16BE(sof.start + 7), height: buffer.readUInt16BE(sof.start + 5) };
+      }
+      case "image/webp": {
+        const [first] = readRiffChunks(buffer);
+        if (first?.type === "VP8X") {
+          return { width: first.data.readUIntLE(4, 3) + 1, height: first.data.readUIntLE(7, 3) + 1 };
+        }
+        const info = first ? readWebpBitstreamInfo(first) : null;
+        return info ? { width: info.width, height: info.height } : null;
+      }
+      default:
+        return null;
+    }
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * 模式缓存模块 - 记住 auto 模式下每个端点（baseUrl + model）可用的 API 模式
+ *
+ * 存储位置：会话存储目录的上一级，默认 ~/.gemini-images/mode-cache.json
+ * {
+ *   "http://127.0.0.1:8317|gemini-3-pro-image-preview": { "mode": "chat", "detectedAt": 1735000000000 }
+ * }
+ */
+import { config } from "./config.js";
+import { createJsonFileStore, debugLog, normalizeBaseUrl } from "./utils.js";
+
+/**
+ * @typedef {Object} ModeCacheEntry
+ * @property {string} mode - 检测到的模式（images | gemini | chat）
+ * @property {number} detectedAt - 检测时间
+ */
+
+/** @type {{load: () => Record<string, ModeCacheEntry>, save: () => void}} 首次访问时从文件加载 */
+const cacheStore = createJsonFileStore("mode-cache.json", {
+  initial: () => ({}),
+  isValid: (data) => Boolean(data) && typeof data === "object",
+  tag: "mode-cache",
+  label: "缓存文件",
+});
+
+/**
+ * 生成缓存键
+ */
+export function getModeCacheKey(baseUrl, model) {
+  return `${normalizeBaseUrl(baseUrl)}|${model}`;
+}
+
+/**
+ * 获取缓存的模式（已过期返回 null）
+ * @param {string} key
+ * @returns {string | null}
+ */
+export function getCachedMode(key) {
+  const entry = cacheStore.load()[key];
+  if (!entry?.mode) return null;
+  if (Date.now() - entry.detectedAt > config.modeCacheTtlMs) {
+    debugLog(`[mode-cache] ${key} 的缓存已过期`);
+    return null;
+  }
+  return entry.mode;
+}
+
+/**
+ * 记录检测到的模式
+ * @param {string} key
+ * @param {string} mode
+ */
+export function setCachedMode(key, mode) {
+  cacheStore.load()[key] = { mode, detectedAt: Date.now() };
+  cacheStore.save();
+  debugLog(`[mode-cache] ${key} -> ${mode}`);
+}
+
+/**
+ * 清除缓存的模式
+ * @param {string} key
+ */
+export function clearCachedMode(key) {
+  const current = cacheStore.load();
+  if (!(key in current)) return;
+  delete current[key];
+  cacheStore.save();
+  debugLog(`[mode-cache] 清除 ${key}`);
+}
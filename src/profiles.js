@@ -0,0 +1,155 @@
+/**
+ * 后端配置模块 - 命名后端（profile）的加载与选择
+ *
+ * 配置文件格式（~/.gemini-images/profiles.json）：
+ * {
+ *   "default": "official",
+ *   "profiles": {
+ *     "local":    { "baseUrl": "http://127.0.0.1:8317", "model": "gemini-3-pro-image-preview", "mode": "chat" },
+ *     "official": { "baseUrl": "https://generativelanguage.googleapis.com/v1beta", "apiKey": "...", "mode": "gemini" },
+ *     "openai":   { "baseUrl": "https://api.openai.com", "apiKey": "...", "model": "gpt-image-1", "mode": "openai", "size": "1024x1536" },
+ *     "vertex":   { "mode": "vertex", "vertex": { "project": "my-project", "location": "us-central1", "credentialsFile": "~/keys/sa.json" } }
+ *   }
+ * }
+ *
+ * profile 中未填写的字段回退到环境变量配置；不传 profile 时使用 "default" 指定的 profile，
+ * 未指定 default 则直接使用环境变量配置。
+ */
+import fs from "node:fs";
+import { config } from "./config.js";
+import { debugLog } from "./utils.js";
+
+/** 环境变量配置对应的内置 profile 名称 */
+export const ENV_PROFILE_NAME = "env";
+
+/**
+ * @typedef {Object} Backend
+ * @property {string} name - profile 名称
+ * @property {string} baseUrl - API 基础 URL
+ * @property {string} apiKey - API 密钥
+ * @property {string} model - 模型名称
+ * @property {string} mode - API 模式（gemini | openai | images | chat | auto）
+ * @property {string} defaultSize - 默认图片尺寸
+ * @property {boolean} stream - gemini / vertex 模式下是否使用流式接口
+ * @property {import("./api-client.js").VertexOptions} vertex - Vertex AI 配置（仅 vertex 模式使用）
+ */
+
+/**
+ * 读取 profiles 配置文件（每次调用都重新读取，修改后无需重启）
+ * @returns {{defaultProfile: string | null, profiles: Record<string, Object>}}
+ */
+function loadProfilesFile() {
+  const filePath = config.profilesFile;
+  try {
+    if (!fs.existsSync(filePath)) return { defaultProfile: null, profiles: {} };
+    const data = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    const profiles = data?.profiles && typeof data.profiles === "object" ? data.profiles : {};
+    const defaultProfile = typeof data?.default === "string" && data.default.trim() ? data.default.trim() : null;
+    return { defaultProfile, profiles };
+  } catch (err) {
+    throw new Error(`读取 profiles 配置文件失败: ${filePath} (${err.message})`);
+  }
+}
+
+/**
+ * 环境变量配置对应的后端
+ * @returns {Backend}
+ */
+function envBackend() {
+  return {
+    name: ENV_PROFILE_NAME,
+    baseUrl: config.baseUrl,
+    apiKey: config.apiKey,
+    model: config.model,
+    mode: config.imageMode,
+    defaultSize: config.defaultSize,
+    stream: config.geminiStream,
+    vertex: {
+      project: config.vertexProject,
+      location: config.vertexLocation,
+      credentialsFile: config.vertexCredentialsFile,
+      tokenUrl: config.vertexTokenUrl,
+      baseUrl: config.vertexBaseUrl,
+    },
+  };
+}
+
+/**
+ * 合并 profile 与环境变量配置
+ * @returns {Backend}
+ */
+function toBackend(name, profile) {
+  const base = envBackend();
+  const pick = (value, fallback) => (typeof value === "string" && value.trim() ? value.trim() : fallback);
+  const baseUrl = pick(profile.baseUrl, base.baseUrl);
+  // 只有沿用环境变量中的 baseUrl 时才继承环境变量的密钥，避免把密钥发给其他服务
+  const inheritedKey = baseUrl === base.baseUrl ? base.apiKey : "";
+  return {
+    name,
+    baseUrl,
+    apiKey: pick(profile.apiKey, inheritedKey),
+    model: pick(profile.model, base.model),
+    mode: pick(profile.mode, base.mode).toLowerCase(),
+    defaultSize: pick(profile.size ?? profile.defaultSize, base.defaultSize),
+    stream: typeof profile.stream === "boolean" ? profile.stream : base.stream,
+    vertex: {
+      project: pick(profile.vertex?.project, base.vertex.project),
+      location: pick(profile.vertex?.location, base.vertex.location),
+      credentialsFile: pick(profile.vertex?.credentialsFile, base.vertex.credentialsFile),
+      tokenUrl: pick(profile.vertex?.tokenUrl, base.vertex.tokenUrl),
+      baseUrl: pick(profile.vertex?.baseUrl, base.vertex.baseUrl),
+    },
+  };
+}
+
+/**
+ * 根据 profile 名称解析后端配置
+ * @param {string | null | undefined} profileName - 为空时使用默认 profile
+ * @returns {Backend}
+ */
+export function resolveBackend(profileName) {
+  const { defaultProfile, profiles } = loadProfilesFile();
+  const name = String(profileName ?? "").trim() || defaultProfile;
+
+  if (!name || name === ENV_PROFILE_NAME) return envBackend();
+
+  const profile = profiles[name];
+  if (!profile || typeof profile !== "object") {
+    const available = [ENV_PROFILE_NAME, ...Object.keys(profiles)].join(", ");
+    throw new Error(`未知的 profile: ${name}（可用: ${available}）`);
+  }
+
+  debugLog(`[profile] 使用后端配置: ${name}`);
+  return toBackend(name, profile);
+}
+
+/**
+ * 隐藏密钥，只保留首尾少量字符
+ */
+function redactSecret(secret) {
+  const s = String(secret ?? "");
+  if (!s) return "";
+  if (s.length <= 8) return "***";
+  return `${s.slice(0, 3)}***${s.slice(-4)}`;
+}
+
+/**
+ * 列出所有 profile（密钥已脱敏）
+ * @returns {Array<Backend & {isDefault: boolean}>}
+ */
+export function listProfiles() {
+  const { defaultProfile, profiles } = loadProfilesFile();
+  const activeName = defaultProfile ?? ENV_PROFILE_NAME;
+
+  const result = [envBackend()];
+  for (const [name, profile] of Object.entries(profiles)) {
+    if (name === ENV_PROFILE_NAME || !profile || typeof profile !== "object") continue;
+    result.push(toBackend(name, profile));
+  }
+
+  return result.map((backend) => ({
+    ...backend,
+    apiKey: redactSecret(backend.apiKey),
+    isDefault: backend.name === activeName,
+  }));
+}
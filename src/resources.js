@@ -0,0 +1,277 @@
+/**
+ * 资源模块 - 将会话和已保存的图片暴露为 MCP 资源
+ *
+ * URI 格式：
+ * - gemini-images://session/{id}              会话概要（JSON）
+ * - gemini-images://session/{id}/turn/{n}     某一轮生成的图片
+ * - gemini-images://output/{batch}/{index}    已保存到磁盘的图片
+ *
+ * 已保存图片的索引存储在会话存储目录的上一级，默认 ~/.gemini-images/outputs.json
+ */
+import fs from "node:fs";
+import path from "node:path";
+import { DEFAULTS } from "./config.js";
+import { createJsonFileStore, detectImageMime, ResourceNotFoundError, truncate } from "./utils.js";
+import { findSession, listAllSessions, listSessionTurns } from "./session.js";
+
+const SCHEME = "gemini-images";
+
+/**
+ * @typedef {Object} OutputEntry
+ * @property {string} batchId - 批次 ID
+ * @property {number} index - 批次中的序号（从 1 开始）
+ * @property {string} path - 文件路径
+ * @property {string} mimeType - MIME 类型
+ * @property {string} prompt - 生成时的 prompt
+ * @property {string} sessionId - 会话 ID
+ * @property {number} turn - 会话轮次
+ * @property {number} savedAt - 保存时间
+ */
+
+// ============ URI ============
+
+/**
+ * 会话资源 URI
+ */
+export function sessionUri(sessionId) {
+  return `${SCHEME}://session/${sessionId}`;
+}
+
+/**
+ * 会话某一轮的图片资源 URI
+ */
+export function turnUri(sessionId, turn) {
+  return `${SCHEME}://session/${sessionId}/turn/${turn}`;
+}
+
+/**
+ * 已保存图片的资源 URI
+ */
+export function outputUri(batchId, index) {
+  return `${SCHEME}://output/${batchId}/${index}`;
+}
+
+/**
+ * 资源模板（resources/templates/list）
+ */
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: `${SCHEME}://session/{id}`,
+    name: "session",
+    title: "图片编辑会话",
+    description: "会话概要：每一轮的 prompt、模型回复和图片资源链接",
+    mimeType: "application/json",
+  },
+  {
+    uriTemplate: `${SCHEME}://session/{id}/turn/{n}`,
+    name: "session-turn",
+    title: "会话中某一轮的图片",
+    description: "第 n 轮生成的图片（n 从 1 开始）",
+  },
+  {
+    uriTemplate: `${SCHEME}://output/{batch}/{index}`,
+    name: "output",
+    title: "已保存的图片",
+    description: "generate_image 保存到磁盘的图片文件",
+  },
+];
+
+// ============ 已保存图片索引 ============
+
+/** @type {{load: () => OutputEntry[], save: () => void}} 已保存图片的索引，首次访问时从文件加载 */
+const outputsStore = createJsonFileStore("outputs.json", {
+  initial: () => [],
+  isValid: Array.isArray,
+  tag: "resources",
+  label: "图片索引",
+});
+
+/**
+ * 记录一批已保存的图片，返回对应的资源链接
+ * @param {string} batchId
+ * @param {string[]} files - 文件路径（按批次中的顺序）
+ * @param {Object} info
+ * @param {string} info.prompt
+ * @param {string} info.sessionId
+ * @param {number} info.turn
+ * @returns {Array<Object>} resource_link 内容
+ */
+export function recordOutputs(batchId, files, { prompt, sessionId, turn }) {
+  const list = outputsStore.load();
+  const savedAt = Date.now();
+  const entries = files.map((filePath, i) => ({
+    batchId,
+    index: i + 1,
+    path: filePath,
+    mimeType: mimeTypeOfFile(filePath),
+    prompt,
+    sessionId,
+    turn,
+    savedAt,
+  }));
+
+  list.push(...entries);
+  if (list.length > DEFAULTS.MAX_OUTPUT_RESOURCES) {
+    list.splice(0, list.length - DEFAULTS.MAX_OUTPUT_RESOURCES);
+  }
+  outputsStore.save();
+
+  return entries.map(outputResourceLink);
+}
+
+/**
+ * 列出某个会话保存到磁盘的图片（仍存在的文件）
+ * @param {string} sessionId
+ * @returns {Array<OutputEntry & {uri: string}>}
+ */
+export function listSessionOutputs(sessionId) {
+  return outputsStore.load()
+    .filter((entry) => entry.sessionId === sessionId && fs.existsSync(entry.path))
+    .map((entry) => ({ ...entry, uri: outputUri(entry.batchId, entry.index) }));
+}
+
+/**
+ * 根据扩展名推断 MIME 类型
+ */
+function mimeTypeOfFile(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  const mimeMap = { ".png": "image/png", ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".webp": "image/webp", ".gif": "image/gif" };
+  return mimeMap[ext] ?? "application/octet-stream";
+}
+
+// ============ 资源链接 ============
+
+/**
+ * 已保存图片的 resource_link
+ * @param {OutputEntry} entry
+ */
+function outputResourceLink(entry) {
+  return {
+    type: "resource_link",
+    uri: outputUri(entry.batchId, entry.index),
+    name: path.basename(entry.path),
+    mimeType: entry.mimeType,
+    description: truncate(entry.prompt, 100),
+  };
+}
+
+/**
+ * 会话某一轮的 resource_link（output=image 时图片未保存，链接到会话历史）
+ * @param {string} sessionId
+ * @param {number} turn
+ * @param {string} prompt
+ */
+export function turnResourceLink(sessionId, turn, prompt) {
+  return {
+    type: "resource_link",
+    uri: turnUri(sessionId, turn),
+    name: `session-${sessionId}-turn-${turn}`,
+    description: truncate(prompt, 100),
+  };
+}
+
+// ============ resources/list ============
+
+/**
+ * 列出资源：所有会话 + 最近保存的图片（最新的在前）
+ * @returns {Array<Object>}
+ */
+export function listResources() {
+  const sessions = listAllSessions()
+    .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+    .map((s) => ({
+      uri: sessionUri(s.id),
+      name: `session-${s.id}`,
+      title: s.title ? `${s.title}（${s.id}）` : `会话 ${s.id}`,
+      description: `消息数 ${s.messageCount}，最后使用 ${new Date(s.lastUsedAt).toISOString()}`,
+      mimeType: "application/json",
+    }));
+
+  const files = outputsStore.load()
+    .filter((entry) => fs.existsSync(entry.path))
+    .reverse()
+    .map((entry) => {
+      const { type, ...resource } = outputResourceLink(entry);
+      return resource;
+    });
+
+  return [...sessions, ...files];
+}
+
+// ============ resources/read ============
+
+/**
+ * 读取资源
+ * @param {string} uri
+ * @returns {Array<Object>} resources/read 的 contents
+ * @throws {ResourceNotFoundError}
+ */
+export function readResource(uri) {
+  const match = /^gemini-images:\/\/(session|output)\/([\w-]+)(?:\/(turn\/)?(\d+))?$/.exec(String(uri ?? ""));
+  if (!match) throw new ResourceNotFoundError(uri);
+  const [, kind, id, turnSegment, number] = match;
+
+  if (kind === "output" && number && !turnSegment) return readOutput(uri, id, Number(number));
+  if (kind === "session" && !number) return readSession(uri, id);
+  if (kind === "session" && turnSegment) return readTurn(uri, id, Number(number));
+  throw new ResourceNotFoundError(uri);
+}
+
+/**
+ * 读取会话概要
+ */
+function readSession(uri, sessionId) {
+  const session = findSession(sessionId);
+  if (!session) throw new ResourceNotFoundError(uri, `会话不存在或已过期: ${sessionId}`);
+
+  const summary = {
+    id: session.id,
+    title: session.title ?? null,
+    forkedFrom: session.forkedFrom ?? null,
+    createdAt: new Date(session.createdAt).toISOString(),
+    lastUsedAt: new Date(session.lastUsedAt).toISOString(),
+    turnCount: session.turnCount,
+    turns: listSessionTurns(session).map((t) => ({
+      turn: t.turn,
+      prompt: t.prompt,
+      inputImageCount: t.inputImageCount,
+      text: t.text,
+      imageCount: t.images.length,
+      selectedImage: t.images.length > 1 ? t.selected : undefined,
+      uri: turnUri(session.id, t.turn),
+    })),
+  };
+  return [{ uri, mimeType: "application/json", text: JSON.stringify(summary, null, 2) }];
+}
+
+/**
+ * 读取会话某一轮的图片（该轮没有图片时返回模型的文本回复）
+ */
+function readTurn(uri, sessionId, turnNumber) {
+  const session = findSession(sessionId);
+  if (!session) throw new ResourceNotFoundError(uri, `会话不存在或已过期: ${sessionId}`);
+
+  const turn = listSessionTurns(session).find((t) => t.turn === turnNumber);
+  if (!turn) throw new ResourceNotFoundError(uri, `会话 ${sessionId} 中没有第 ${turnNumber} 轮（可能已超出保留的历史）`);
+
+  if (turn.images.length === 0) {
+    return [{ uri, mimeType: "text/plain", text: turn.text }];
+  }
+  return turn.images.map((img) => ({ uri, mimeType: img.mimeType, blob: img.base64 }));
+}
+
+/**
+ * 读取已保存的图片文件
+ */
+function readOutput(uri, batchId, index) {
+  const entry = outputsStore.load().find((e) => e.batchId === batchId && e.index === index);
+  if (!entry) throw new ResourceNotFoundError(uri);
+
+  let buffer;
+  try {
+    buffer = fs.readFileSync(entry.path);
+  } catch {
+    throw new ResourceNotFoundError(uri, `图片文件已被移动或删除: ${entry.path}`);
+  }
+  return [{ uri, mimeType: detectImageMime(buffer) ?? entry.mimeType, blob: buffer.toString("base64") }];
+}
@@ -6,13 +6,23 @@
  * ├── sessions/          # 会话元数据
  * │   └── {id}.json
  * └── images/            # 会话图片（分离存储，减少文件大小）
- *     └── {id}_last.png
+ *     ├── {id}_last.png
+ *     ├── {id}_turn{n}_{index}.png   # 每一轮生成的全部图片
+ *     └── {id}_part_{hash}.png       # Gemini 原始 parts 中的图片（按内容去重）
  */
 import crypto from "node:crypto";
 import fs from "node:fs";
 import path from "node:path";
 import { config, DEFAULTS } from "./config.js";
-import { debugLog } from "./utils.js";
+import { debugLog, extFromMime, formatImageLabel } from "./utils.js";
+
+/**
+ * @typedef {Object} TurnImageRecord
+ * @property {string} mimeType - 图片 MIME 类型
+ * @property {string} [path] - 已持久化的文件路径（按需加载）
+ * @property {string} [base64] - 尚未持久化时的图片数据
+ * @property {Object[] | null} [parts] - 生成该图片的请求返回的 Gemini 原始 parts（n>1 时用于切换候选图）
+ */
 
 /**
  * @typedef {Object} SessionImage
@@ -29,8 +39,14 @@ import { debugLog } from "./utils.js";
 /**
  * @typedef {Object} Session
  * @property {string} id - 会话 ID
- * @property {Array<{role: string, content: any}>} messages - 对话历史
+ * @property {Array<{role: string, content: any, geminiParts?: Object[]}>} messages - 对话历史（助手消息可附带 Gemini 原始 parts）
  * @property {SessionImage | null} lastImage - 上一次生成的图片（内存中为完整数据）
+ * @property {number} turnCount - 已完成的轮次数（不受历史截断影响）
+ * @property {Record<string, TurnImageRecord[]>} turnImages - 每一轮生成的全部图片（键为轮次，序号从 1 开始）
+ * @property {Record<string, number>} selectedImages - 每一轮选中继续编辑的图片序号（未记录时为 1）
+ * @property {string | null} title - 会话标题（rename_session 设置）
+ * @property {{sessionId: string, turn: number} | null} forkedFrom - 分叉来源
+ * @property {string[]} [storedImages] - 上次保存时写入的消息图片和 parts 图片文件（再次保存时删除不再引用的文件）
  * @property {number} createdAt - 创建时间
  * @property {number} lastUsedAt - 最后使用时间
  */
@@ -96,6 +112,13 @@ function getSessionImagePath(sessionId, suffix = "last") {
   return path.join(config.sessionImagesDir, `${sessionId}_${suffix}.png`);
 }
 
+/**
+ * 获取某一轮图片的文件路径（轮次和序号不变，路径就不变）
+ */
+function getTurnImagePath(sessionId, turn, index, mimeType) {
+  return path.join(config.sessionImagesDir, `${sessionId}_turn${turn}_${index}.${extFromMime(mimeType)}`);
+}
+
 // ============ 图片存储 ============
 
 /**
@@ -159,13 +182,66 @@ function deleteSessionImages(sessionId) {
   }
 }
 
+// ============ Gemini 原始 parts 存储 ============
+
+/**
+ * 将 parts 中的内联图片写入文件，返回只包含文件引用的副本（其余字段原样保留）
+ * 同一张图片按内容哈希只保存一次
+ * @param {string} sessionId
+ * @param {Object[]} parts
+ * @returns {Object[]}
+ */
+function storeModelParts(sessionId, parts) {
+  return parts.map((part) => {
+    const key = part?.inlineData?.data ? "inlineData" : part?.inline_data?.data ? "inline_data" : null;
+    if (!key || !config.sessionPersistEnabled) return part;
+
+    const { data, ...blob } = part[key];
+    const mimeType = blob.mimeType ?? blob.mime_type;
+    const hash = crypto.createHash("sha256").update(data).digest("hex").slice(0, 16);
+    const imagePath = path.join(config.sessionImagesDir, `${sessionId}_part_${hash}.${extFromMime(mimeType)}`);
+    try {
+      ensureImagesDir();
+      if (!fs.existsSync(imagePath)) fs.writeFileSync(imagePath, Buffer.from(data, "base64"));
+    } catch (err) {
+      debugLog(`[session] 保存 parts 图片失败: ${err.message}`);
+      return part;
+    }
+    return { ...part, [key]: { ...blob, _file: imagePath } };
+  });
+}
+
+/**
+ * 从文件恢复 parts 中的内联图片
+ * @param {Object[]} parts
+ * @returns {Object[] | null} 有图片文件丢失时返回 null（回退为合成的历史消息）
+ */
+function loadModelParts(parts) {
+  const restored = [];
+  for (const part of parts) {
+    const key = part?.inlineData?._file ? "inlineData" : part?.inline_data?._file ? "inline_data" : null;
+    if (!key) {
+      restored.push(part);
+      continue;
+    }
+    const { _file, ...blob } = part[key];
+    try {
+      restored.push({ ...part, [key]: { ...blob, data: fs.readFileSync(_file).toString("base64") } });
+    } catch (err) {
+      debugLog(`[session] 加载 parts 图片失败: ${err.message}`);
+      return null;
+    }
+  }
+  return restored;
+}
+
 // ============ 会话文件操作 ============
 
 /**
  * 从文件加载会话
  */
 function loadSessionFromFile(sessionId) {
-  if (!config.sessionPersistEnabled) return null;
+  if (!config.sessionPersistEnabled || !isValidSessionId(sessionId)) return null;
 
   const filePath = getSessionFilePath(sessionId);
   try {
@@ -180,11 +256,18 @@ function loadSessionFromFile(sessionId) {
         delete sessionData.lastImageRef;
       }
 
-      // 恢复 messages 中的图片引用
-      if (sessionData.messageImageRefs) {
-        restoreMessageImages(sessionData);
+      // 兼容旧版会话文件：按用户消息数推算轮次
+      if (typeof sessionData.turnCount !== "number") {
+        sessionData.turnCount = sessionData.messages.filter((m) => m.role === "user").length;
       }
 
+      // 兼容旧版会话文件：没有轮次图片时从历史消息中读取
+      sessionData.turnImages ??= {};
+      sessionData.selectedImages ??= {};
+
+      // 恢复 messages 中的图片引用和 Gemini 原始 parts
+      restoreMessageImages(sessionData);
+
       debugLog(`[session] 从文件加载会话: ${sessionId}`);
       return sessionData;
     }
@@ -202,6 +285,9 @@ function restoreMessageImages(sessionData) {
 
   for (let i = 0; i < sessionData.messages.length; i++) {
     const msg = sessionData.messages[i];
+    if (msg.geminiParts) {
+      msg.geminiParts = loadModelParts(msg.geminiParts) ?? undefined;
+    }
     if (!Array.isArray(msg.content)) continue;
 
     for (const part of msg.content) {
@@ -243,22 +329,118 @@ function saveSessionToFile(session) {
       lastImageRef = saveImageToFile(session.id, session.lastImage);
     }
 
+    const turnImages = saveTurnImages(session);
+    const storedImages = new Set(Object.values(imageRefs).map((ref) => ref.path));
+    for (const msg of processedMessages) collectPartFiles(msg.geminiParts, storedImages);
+    for (const records of Object.values(turnImages)) {
+      for (const record of records) collectPartFiles(record.parts, storedImages);
+    }
+
     const sessionToSave = {
       id: session.id,
       messages: processedMessages,
       messageImageRefs: Object.keys(imageRefs).length > 0 ? imageRefs : undefined,
       lastImageRef,
+      turnCount: session.turnCount,
+      turnImages,
+      selectedImages: session.selectedImages,
+      title: session.title ?? undefined,
+      forkedFrom: session.forkedFrom ?? undefined,
+      storedImages: [...storedImages],
       createdAt: session.createdAt,
       lastUsedAt: session.lastUsedAt,
     };
 
     fs.writeFileSync(filePath, JSON.stringify(sessionToSave, null, 2), "utf-8");
     debugLog(`[session] 保存会话: ${session.id}`);
+
+    // 回退、撤销丢弃的轮次，以及重新编号后多出的消息图片，不再被会话文件引用
+    deleteStaleImages(session.storedImages ?? [], storedImages);
+    session.storedImages = sessionToSave.storedImages;
   } catch (err) {
     debugLog(`[session] 保存会话文件失败: ${err.message}`);
   }
 }
 
+/**
+ * 将尚未持久化的轮次图片写入文件，返回只包含引用的副本
+ * 写入成功后释放内存中的图片数据，需要时再从文件加载
+ * @param {Session} session
+ * @returns {Record<string, Array<{path: string, mimeType: string}>>}
+ */
+function saveTurnImages(session) {
+  const refs = {};
+  if (!config.sessionPersistEnabled) return refs;
+  for (const [turn, records] of Object.entries(session.turnImages ?? {})) {
+    refs[turn] = records.map((record, i) => {
+      if (!record.path && record.base64) {
+        const imagePath = getTurnImagePath(session.id, turn, i + 1, record.mimeType);
+        try {
+          ensureImagesDir();
+          fs.writeFileSync(imagePath, Buffer.from(record.base64, "base64"));
+          record.path = imagePath;
+          delete record.base64;
+        } catch (err) {
+          debugLog(`[session] 保存第 ${turn} 轮图片失败: ${err.message}`);
+        }
+      }
+      // parts 中的图片同样写入文件，内存中只保留引用，切换候选图时再加载
+      if (record.parts) record.parts = storeModelParts(session.id, record.parts);
+      // 保存失败时保留占位，保证其余图片的序号不变
+      return { path: record.path ?? null, mimeType: record.mimeType, parts: record.parts ?? undefined };
+    });
+  }
+  return refs;
+}
+
+/**
+ * 删除指定轮次之后的图片文件
+ */
+function deleteTurnImagesAfter(session, turn) {
+  for (const key of Object.keys(session.turnImages ?? {})) {
+    if (Number(key) <= turn) continue;
+    for (const record of session.turnImages[key]) {
+      if (!record.path) continue;
+      try {
+        fs.rmSync(record.path, { force: true });
+      } catch (err) {
+        debugLog(`[session] 删除图片失败: ${err.message}`);
+      }
+    }
+    delete session.turnImages[key];
+  }
+}
+
+/**
+ * 收集 parts 中引用的图片文件路径
+ * @param {Object[] | undefined} parts
+ * @param {Set<string>} into
+ */
+function collectPartFiles(parts, into) {
+  for (const part of parts ?? []) {
+    const file = part?.inlineData?._file ?? part?.inline_data?._file;
+    if (file) into.add(file);
+  }
+}
+
+/**
+ * 删除上次保存时写入、本次保存已不再引用的图片文件
+ * 轮次图片由 deleteTurnImagesAfter 按记录删除，lastImage 固定覆盖写入，都不在这里处理
+ * @param {string[]} previous - 上次保存时的 storedImages
+ * @param {Set<string>} current - 本次保存引用的文件
+ */
+function deleteStaleImages(previous, current) {
+  for (const filePath of previous) {
+    if (current.has(filePath)) continue;
+    try {
+      fs.rmSync(filePath, { force: true });
+      debugLog(`[session] 删除未引用的图片: ${filePath}`);
+    } catch (err) {
+      debugLog(`[session] 删除图片失败: ${err.message}`);
+    }
+  }
+}
+
 /**
  * 提取消息中的图片，返回处理后的消息和图片引用
  */
@@ -267,6 +449,9 @@ function extractMessageImages(sessionId, messages) {
   let imageIndex = 0;
 
   const processedMessages = messages.map((msg) => {
+    if (msg.geminiParts) {
+      msg = { ...msg, geminiParts: storeModelParts(sessionId, msg.geminiParts) };
+    }
     if (!Array.isArray(msg.content)) {
       return msg;
     }
@@ -356,12 +541,27 @@ function generateSessionId() {
   return crypto.randomBytes(8).toString("hex");
 }
 
+/** 会话 ID 格式（与 generateSessionId 一致） */
+const SESSION_ID_PATTERN = /^[0-9a-f]{16}$/;
+
+/**
+ * 检查会话 ID 格式（会话 ID 会拼接进文件路径，格式不符的一律视为不存在）
+ * @param {unknown} sessionId
+ * @returns {boolean}
+ */
+export function isValidSessionId(sessionId) {
+  return typeof sessionId === "string" && SESSION_ID_PATTERN.test(sessionId);
+}
+
 /**
  * 获取或创建会话
  * @param {string | null} sessionId - 会话 ID，为空则创建新会话
  * @returns {Session}
  */
 export function getOrCreateSession(sessionId) {
+  // 格式不符的 ID 不可能是已有会话，直接创建新会话
+  if (!isValidSessionId(sessionId)) sessionId = null;
+
   // 1. 先检查内存缓存
   if (sessionId && sessions.has(sessionId)) {
     const session = sessions.get(sessionId);
@@ -391,6 +591,11 @@ export function getOrCreateSession(sessionId) {
     id: generateSessionId(),
     messages: [],
     lastImage: null,
+    turnCount: 0,
+    turnImages: {},
+    selectedImages: {},
+    title: null,
+    forkedFrom: null,
     createdAt: Date.now(),
     lastUsedAt: Date.now(),
   };
@@ -399,6 +604,338 @@ export function getOrCreateSession(sessionId) {
   return newSession;
 }
 
+/**
+ * 查找已有会话（不创建新会话，不刷新最后使用时间）
+ * @param {string} sessionId
+ * @returns {Session | null} 不存在或已过期时返回 null
+ */
+export function findSession(sessionId) {
+  if (!isValidSessionId(sessionId)) return null;
+  if (sessions.has(sessionId)) return sessions.get(sessionId);
+
+  const fileSession = loadSessionFromFile(sessionId);
+  if (!fileSession || Date.now() - fileSession.lastUsedAt > config.sessionTtlMs) return null;
+  sessions.set(sessionId, fileSession);
+  return fileSession;
+}
+
+/**
+ * 删除会话（包括会话文件和会话图片）
+ * @param {string} sessionId
+ * @returns {boolean} 会话不存在时返回 false
+ */
+export function deleteSession(sessionId) {
+  if (!isValidSessionId(sessionId)) return false;
+  const exists =
+    sessions.has(sessionId) ||
+    (config.sessionPersistEnabled && fs.existsSync(getSessionFilePath(sessionId)));
+  if (!exists) return false;
+
+  sessions.delete(sessionId);
+  deleteSessionFile(sessionId);
+  debugLog(`[session] 删除会话: ${sessionId}`);
+  return true;
+}
+
+/**
+ * 设置会话标题（空标题表示清除）
+ * @param {string} sessionId
+ * @param {string} title
+ * @returns {Session | null} 会话不存在或已过期时返回 null
+ */
+export function renameSession(sessionId, title) {
+  const session = findSession(sessionId);
+  if (!session) return null;
+
+  session.title = String(title ?? "").trim() || null;
+  saveSessionToFile(session);
+  debugLog(`[session] 会话 ${sessionId} 标题: ${session.title ?? "(已清除)"}`);
+  return session;
+}
+
+/**
+ * 从某一轮分叉出新会话：复制该轮及之前的历史，之后两个会话互不影响
+ * @param {string} sessionId - 源会话 ID
+ * @param {Object} [options]
+ * @param {number} [options.turn] - 分叉点（包含该轮），默认最后一轮
+ * @param {string} [options.title] - 新会话标题
+ * @returns {Session}
+ * @throws {Error} 源会话不存在，或分叉点不在保留的历史中
+ */
+export function forkSession(sessionId, { turn, title } = {}) {
+  const source = findSession(sessionId);
+  if (!source) throw new Error(`会话不存在或已过期: ${sessionId}`);
+
+  const turns = listSessionTurns(source);
+  if (turns.length === 0) throw new Error(`会话 ${sessionId} 还没有任何轮次，无法分叉`);
+
+  const firstTurn = turns[0].turn;
+  const lastTurn = turns[turns.length - 1].turn;
+  const atTurn = turn ?? lastTurn;
+  if (!Number.isInteger(atTurn) || atTurn < firstTurn || atTurn > lastTurn) {
+    throw new Error(`分叉点超出范围：会话 ${sessionId} 保留的轮次为 ${firstTurn}-${lastTurn}`);
+  }
+
+  // 深拷贝历史消息，避免两个会话共享内容
+  const messages = messagesUpToTurn(source, atTurn).map((msg) => structuredClone(msg));
+
+  // 轮次图片复制为新会话自己的数据（源会话删除后不受影响）
+  const turnImages = {};
+  for (const [key, records] of Object.entries(source.turnImages ?? {})) {
+    if (Number(key) > atTurn) continue;
+    turnImages[key] = records.map((record) => ({
+      mimeType: record.mimeType,
+      base64: record.base64 ?? loadImageFromFile(record)?.base64,
+      parts: record.parts ? loadModelParts(record.parts) : undefined,
+    }));
+  }
+
+  const selectedImages = Object.fromEntries(
+    Object.entries(source.selectedImages ?? {}).filter(([key]) => Number(key) <= atTurn)
+  );
+
+  const now = Date.now();
+  const fork = {
+    id: generateSessionId(),
+    messages,
+    lastImage: null,
+    turnCount: atTurn,
+    turnImages,
+    selectedImages,
+    title: String(title ?? "").trim() || null,
+    forkedFrom: { sessionId: source.id, turn: atTurn },
+    createdAt: now,
+    lastUsedAt: now,
+  };
+  // 分叉点及之前最后一张生成的图片作为新会话的编辑基础
+  fork.lastImage = findLatestImage(fork);
+  sessions.set(fork.id, fork);
+  saveSessionToFile(fork);
+
+  debugLog(`[session] 会话 ${source.id} 在第 ${atTurn} 轮分叉为: ${fork.id}`);
+  return fork;
+}
+
+/**
+ * 回退到某一轮：以该轮的某张图片作为后续编辑的基础
+ * - truncate：丢弃该轮之后的历史和图片
+ * - branch：原会话保持不变，在该轮分叉出新会话（见 forkSession）
+ * @param {string} sessionId
+ * @param {Object} options
+ * @param {number} options.turn - 目标轮次
+ * @param {number} [options.imageIndex=1] - 该轮图片的序号（从 1 开始）
+ * @param {"truncate" | "branch"} [options.mode="truncate"]
+ * @returns {Session} 回退后的会话（branch 时为新会话）
+ * @throws {Error} 会话不存在、轮次不在保留的历史中，或该轮没有对应的图片
+ */
+export function revertSession(sessionId, { turn, imageIndex = 1, mode = "truncate" }) {
+  const session = findSession(sessionId);
+  if (!session) throw new Error(`会话不存在或已过期: ${sessionId}`);
+
+  const image = getTurnImage(session, turn, imageIndex);
+  if (!image) {
+    const count = getTurnImages(session, turn).length;
+    throw new Error(
+      count > 0
+        ? `第 ${turn} 轮只有 ${count} 张图片，没有第 ${imageIndex} 张`
+        : `会话 ${sessionId} 中第 ${turn} 轮没有可用的图片`
+    );
+  }
+
+  const target = mode === "branch" ? forkSession(sessionId, { turn }) : session;
+  if (mode !== "branch") truncateSession(session, turn);
+
+  target.lastImage = markSelected(target, turn, imageIndex, image);
+  target.lastUsedAt = Date.now();
+  saveSessionToFile(target);
+
+  debugLog(`[session] 会话 ${target.id} 回退到第 ${turn} 轮图片 ${imageIndex}（${mode}）`);
+  return target;
+}
+
+/**
+ * 撤销最后一轮，以剩余历史中最后生成的图片作为编辑基础
+ * @param {string} sessionId
+ * @returns {Session}
+ * @throws {Error} 会话不存在或没有可撤销的轮次
+ */
+export function undoSession(sessionId) {
+  const session = findSession(sessionId);
+  if (!session) throw new Error(`会话不存在或已过期: ${sessionId}`);
+  if (session.turnCount === 0) throw new Error(`会话 ${sessionId} 没有可撤销的轮次`);
+
+  truncateSession(session, session.turnCount - 1);
+  session.lastImage = findLatestImage(session);
+  session.lastUsedAt = Date.now();
+  saveSessionToFile(session);
+
+  debugLog(`[session] 会话 ${session.id} 已撤销到第 ${session.turnCount} 轮`);
+  return session;
+}
+
+/**
+ * @typedef {Object} ImageSelection
+ * @property {number} turn - 轮次
+ * @property {number} index - 选中的图片序号（从 1 开始）
+ * @property {number} count - 该轮的图片数量
+ * @property {SessionImage} image - 选中的图片
+ * @property {Array} messages - 按选择替换后的历史消息副本（会话本身不变）
+ */
+
+/**
+ * 预览从最后一轮的多张候选图中选择一张的结果，不修改会话
+ * 用于 generate_image 的 select 参数：生成成功后再通过 commitSelection 写入会话
+ * @param {Session} session
+ * @param {number} index - 图片序号（从 1 开始）
+ * @returns {ImageSelection}
+ * @throws {Error} 最后一轮没有图片或序号超出范围
+ */
+export function prepareSelection(session, index) {
+  const turn = session.turnCount;
+  const count = getTurnImages(session, turn).length;
+  if (count === 0) throw new Error(`会话 ${session.id} 的最后一轮（第 ${turn} 轮）没有生成图片`);
+
+  const image = Number.isInteger(index) ? getTurnImage(session, turn, index) : null;
+  if (!image) throw new Error(`第 ${turn} 轮共有 ${count} 张图片，序号应为 1-${count}`);
+
+  const geminiParts = loadCandidateParts(session, turn, index);
+  const messages = mapTurnAssistantMessages(session, turn, (msg) => withSelectedImage(msg, image, geminiParts));
+  return { turn, index, count, image, messages };
+}
+
+/**
+ * 将选择写入会话（只修改内存，由随后的 saveSessionToFile / updateSession 持久化）
+ * @param {Session} session
+ * @param {ImageSelection} selection
+ */
+export function commitSelection(session, selection) {
+  session.selectedImages ??= {};
+  session.selectedImages[selection.turn] = selection.index;
+  session.messages = selection.messages;
+  session.lastImage = selection.image;
+  debugLog(`[session] 会话 ${session.id} 选择第 ${selection.turn} 轮的第 ${selection.index} 张图片`);
+}
+
+/**
+ * 从最后一轮生成的多张候选图中选择一张继续编辑
+ * 历史消息中该轮的图片同步替换，回放给模型的历史与选择一致
+ * @param {string} sessionId
+ * @param {number} index - 图片序号（从 1 开始）
+ * @returns {{session: Session, turn: number, count: number}}
+ * @throws {Error} 会话不存在、最后一轮没有图片或序号超出范围
+ */
+export function selectImage(sessionId, index) {
+  const session = findSession(sessionId);
+  if (!session) throw new Error(`会话不存在或已过期: ${sessionId}`);
+
+  const selection = prepareSelection(session, index);
+  commitSelection(session, selection);
+  session.lastUsedAt = Date.now();
+  saveSessionToFile(session);
+  return { session, turn: selection.turn, count: selection.count };
+}
+
+/**
+ * 记录某一轮选中的图片，并替换历史消息中该轮助手回复的图片
+ * @returns {SessionImage} 选中的图片
+ */
+function markSelected(session, turn, index, image) {
+  session.selectedImages ??= {};
+  session.selectedImages[turn] = index;
+
+  const geminiParts = loadCandidateParts(session, turn, index);
+  session.messages = mapTurnAssistantMessages(session, turn, (msg) => withSelectedImage(msg, image, geminiParts));
+  return image;
+}
+
+/**
+ * 替换某一轮助手消息，返回新的消息数组
+ * @param {Session} session
+ * @param {number} turn
+ * @param {(msg: Object) => Object} fn
+ */
+function mapTurnAssistantMessages(session, turn, fn) {
+  const userCount = session.messages.filter((m) => m.role === "user").length;
+  let current = session.turnCount - userCount;
+  return session.messages.map((msg) => {
+    if (msg.role === "user") current += 1;
+    if (current !== turn || msg.role !== "assistant" || !Array.isArray(msg.content)) return msg;
+    return fn(msg);
+  });
+}
+
+/**
+ * 读取候选图所在请求的原始 parts
+ * 只有一张图的轮次不单独记录 parts（见 updateSession），返回 undefined 表示沿用历史消息中的原始 parts
+ * @param {Session} session
+ * @param {number} turn
+ * @param {number} index - 从 1 开始
+ * @returns {Object[] | null | undefined}
+ */
+function loadCandidateParts(session, turn, index) {
+  const records = session.turnImages?.[turn] ?? [];
+  if (records.length <= 1) return undefined;
+  const parts = records[index - 1]?.parts;
+  return parts ? loadModelParts(parts) : null;
+}
+
+/**
+ * 将助手消息中的图片替换为选中的图片
+ * 原始 parts 也切换为该候选图所在请求的回复；没有记录时回退为合成的历史消息
+ * @param {Object} msg
+ * @param {SessionImage} image
+ * @param {Object[] | null | undefined} geminiParts - undefined 表示保留消息原有的 parts
+ */
+function withSelectedImage(msg, image, geminiParts) {
+  const content = msg.content.map((part) =>
+    part.type === "image_url" ? { type: "image_url", image_url: { url: `data:${image.mimeType};base64,${image.base64}` } } : part
+  );
+  if (geminiParts === undefined) return { ...msg, content };
+  const { geminiParts: _previous, ...rest } = msg;
+  return geminiParts ? { ...rest, content, geminiParts } : { ...rest, content };
+}
+
+/**
+ * 丢弃指定轮次之后的历史消息和图片
+ */
+function truncateSession(session, turn) {
+  session.messages = messagesUpToTurn(session, turn);
+  deleteTurnImagesAfter(session, turn);
+  for (const key of Object.keys(session.selectedImages ?? {})) {
+    if (Number(key) > turn) delete session.selectedImages[key];
+  }
+  session.turnCount = turn;
+}
+
+/**
+ * 截取指定轮次（包含）及之前的历史消息
+ * @param {Session} session
+ * @param {number} turn
+ */
+function messagesUpToTurn(session, turn) {
+  const userCount = session.messages.filter((m) => m.role === "user").length;
+  let current = session.turnCount - userCount;
+  const messages = [];
+  for (const msg of session.messages) {
+    if (msg.role === "user") current += 1;
+    if (current > turn) break;
+    messages.push(msg);
+  }
+  return messages;
+}
+
+/**
+ * 查找会话中最后生成的图片（每轮取选中的那张）
+ * @returns {SessionImage | null}
+ */
+function findLatestImage(session) {
+  for (let turn = session.turnCount; turn >= 1; turn -= 1) {
+    const image = getTurnImage(session, turn, session.selectedImages?.[turn] ?? 1);
+    if (image) return image;
+  }
+  return null;
+}
+
 /**
  * 检查是否为新会话
  */
@@ -411,10 +948,26 @@ export function isNewSession(sessionId, session) {
  * @param {Session} session - 会话对象
  * @param {string | Array} userContent - 用户消息内容
  * @param {Array<SessionImage>} images - 生成的图片
+ * @param {string[]} [texts] - 模型返回的文本
+ * @param {Array<Object[] | null>} [modelParts] - Gemini 原始 parts（与 images 对齐，见 GenerateResult）
  */
-export function updateSession(session, userContent, images) {
+export function updateSession(session, userContent, images, texts = [], modelParts = []) {
   // 保存用户消息到历史
   session.messages.push({ role: "user", content: userContent });
+  session.turnCount += 1;
+
+  // 记录本轮生成的全部图片（序号从 1 开始，之后不再变化）
+  if (images.length > 0) {
+    session.turnImages ??= {};
+    session.turnImages[session.turnCount] = images.map((img, i) => ({
+      base64: img.base64,
+      mimeType: img.mimeType,
+      // 只有一张图时无需切换，原始 parts 只保存在历史消息中
+      parts: images.length > 1 ? (modelParts[i] ?? undefined) : undefined,
+    }));
+  }
+
+  const modelText = texts.join("\n\n");
 
   // 保存助手响应到历史（包含生成的图片）
   if (images.length > 0) {
@@ -422,10 +975,11 @@ export function updateSession(session, userContent, images) {
     session.lastImage = firstImage;
 
     // 构建助手消息（保存完整 base64，确保历史回放可用）
+    // geminiParts 为模型的原始回复，Gemini 模式下原样回放；其他模式使用合成的 content
     session.messages.push({
       role: "assistant",
       content: [
-        { type: "text", text: `[已生成 ${images.length} 张图片]` },
+        { type: "text", text: modelText || `[已生成 ${images.length} 张图片]` },
         {
           type: "image_url",
           image_url: {
@@ -433,7 +987,11 @@ export function updateSession(session, userContent, images) {
           },
         },
       ],
+      geminiParts: modelParts[0] ?? undefined,
     });
+  } else if (modelText) {
+    // 模型只回复了文本（如澄清问题），保留以便下一轮继续对话
+    session.messages.push({ role: "assistant", content: modelText, geminiParts: modelParts[0] ?? undefined });
   }
 
   session.lastUsedAt = Date.now();
@@ -449,22 +1007,132 @@ export function updateSession(session, userContent, images) {
   debugLog(`[session] 会话 ${session.id} 已更新，当前消息数: ${session.messages.length}`);
 }
 
+/**
+ * @typedef {Object} SessionTurn
+ * @property {number} turn - 轮次（与 turnCount 对应，从 1 开始）
+ * @property {string} prompt - 用户消息中的文本
+ * @property {number} inputImageCount - 用户消息中的图片数
+ * @property {string} text - 助手回复的文本
+ * @property {SessionImage[]} images - 该轮生成的全部图片（按序号排列）
+ * @property {number} selected - 选中继续编辑的图片序号
+ */
+
+/**
+ * 按轮次整理会话历史（历史被截断时只包含保留的轮次）
+ * @param {Session} session
+ * @returns {SessionTurn[]}
+ */
+export function listSessionTurns(session) {
+  const turns = [];
+  for (const msg of session.messages) {
+    if (msg.role === "user") {
+      turns.push({
+        prompt: extractContentText(msg.content),
+        inputImageCount: extractContentImages(msg.content).length,
+        text: "",
+        images: [],
+      });
+    } else if (msg.role === "assistant" && turns.length > 0) {
+      const turn = turns[turns.length - 1];
+      turn.text = extractContentText(msg.content);
+      turn.images = extractContentImages(msg.content);
+    }
+  }
+
+  const firstTurn = (session.turnCount ?? turns.length) - turns.length + 1;
+  return turns.map((turn, i) => {
+    const n = firstTurn + i;
+    // 优先使用完整的轮次图片；旧版会话只有历史消息中的第一张图
+    const images = session.turnImages?.[n] ? getTurnImages(session, n) : turn.images;
+    return { turn: n, ...turn, images, selected: session.selectedImages?.[n] ?? 1 };
+  });
+}
+
+/**
+ * 获取某一轮生成的全部图片（按需从文件加载）
+ * @param {Session} session
+ * @param {number} turn
+ * @returns {SessionImage[]}
+ */
+export function getTurnImages(session, turn) {
+  const records = session.turnImages?.[turn];
+  if (!records) {
+    return listSessionTurns(session).find((t) => t.turn === turn)?.images ?? [];
+  }
+  return records.map((record) => loadTurnImage(record)).filter(Boolean);
+}
+
+/**
+ * 获取某一轮的第 index 张图片（index 从 1 开始）
+ * @param {Session} session
+ * @param {number} turn
+ * @param {number} index
+ * @returns {SessionImage | null}
+ */
+export function getTurnImage(session, turn, index) {
+  const record = session.turnImages?.[turn]?.[index - 1];
+  if (record) return loadTurnImage(record);
+  if (session.turnImages?.[turn]) return null;
+  return getTurnImages(session, turn)[index - 1] ?? null;
+}
+
+/**
+ * 读取轮次图片记录中的图片数据
+ * @param {TurnImageRecord} record
+ * @returns {SessionImage | null}
+ */
+function loadTurnImage(record) {
+  if (record.base64) return { base64: record.base64, mimeType: record.mimeType };
+  return loadImageFromFile(record);
+}
+
+/**
+ * 提取消息内容中的文本
+ */
+function extractContentText(content) {
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return "";
+  return content
+    .filter((part) => part?.type === "text" && typeof part.text === "string")
+    .map((part) => part.text)
+    .join("\n");
+}
+
+/**
+ * 提取消息内容中的图片（data URL）
+ * @returns {SessionImage[]}
+ */
+function extractContentImages(content) {
+  if (!Array.isArray(content)) return [];
+  const images = [];
+  for (const part of content) {
+    const match = /^data:([^;]+);base64,(.+)$/s.exec(part?.image_url?.url ?? "");
+    if (part?.type === "image_url" && match) {
+      images.push({ mimeType: match[1], base64: match[2] });
+    }
+  }
+  return images;
+}
+
 /**
  * 构建用户消息内容（用于保存到历史）
+ * @param {string} prompt
+ * @param {Array<SessionImage & {label?: string}>} inputImages - 输入图片（可带标注）
  */
-export function buildUserContent(prompt, inputImage) {
-  if (inputImage) {
-    return [
-      { type: "text", text: prompt },
-      {
-        type: "image_url",
-        image_url: {
-          url: `data:${inputImage.mimeType};base64,${inputImage.base64}`,
-        },
+export function buildUserContent(prompt, inputImages = []) {
+  if (inputImages.length === 0) return prompt;
+
+  const content = [{ type: "text", text: prompt }];
+  inputImages.forEach((img, i) => {
+    if (img.label) content.push({ type: "text", text: formatImageLabel(img.label, i) });
+    content.push({
+      type: "image_url",
+      image_url: {
+        url: `data:${img.mimeType};base64,${img.base64}`,
       },
-    ];
-  }
-  return prompt;
+    });
+  });
+  return content;
 }
 
 /**
@@ -543,6 +1211,7 @@ export function listAllSessions() {
   for (const [id, session] of sessions) {
     result.push({
       id,
+      title: session.title ?? null,
       messageCount: session.messages.length,
       hasImage: !!session.lastImage,
       createdAt: session.createdAt,
@@ -570,6 +1239,7 @@ export function listAllSessions() {
             const session = JSON.parse(data);
             result.push({
               id: session.id,
+              title: session.title ?? null,
               messageCount: session.messages?.length ?? 0,
               hasImage: !!(session.lastImage || session.lastImageRef),
               createdAt: session.createdAt,
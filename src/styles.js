@@ -0,0 +1,200 @@
+/**
+ * 风格预设模块 - 内置预设 + 用户自定义预设
+ *
+ * 配置文件格式（~/.gemini-images/styles.json）：
+ * {
+ *   "styles": {
+ *     "brand-flat": {
+ *       "description": "品牌扁平插画",
+ *       "prefix": "Flat vector illustration, brand palette #0A84FF and #FFFFFF, ",
+ *       "suffix": ", clean shapes, generous whitespace",
+ *       "negative": "gradients, photorealism, text",
+ *       "size": "1536x1024",
+ *       "model": "gemini-3-pro-image-preview"
+ *     }
+ *   }
+ * }
+ *
+ * 用户预设与内置预设同名时覆盖内置预设。文件每次调用都重新读取，修改后无需重启。
+ */
+import fs from "node:fs";
+import { config } from "./config.js";
+import { debugLog } from "./utils.js";
+
+/**
+ * @typedef {Object} StylePreset
+ * @property {string} name - 预设名称
+ * @property {string} description - 说明
+ * @property {string} prefix - 加在 prompt 前的文本
+ * @property {string} suffix - 加在 prompt 后的文本
+ * @property {string} negative - 需要避免的内容
+ * @property {string} size - 默认尺寸（为空时使用后端默认值）
+ * @property {string} model - 默认模型（为空时使用后端配置）
+ * @property {boolean} builtin - 是否为内置预设
+ */
+
+/** 内置预设 */
+const BUILTIN_STYLES = {
+  photo: {
+    description: "写实摄影",
+    prefix: "A high-resolution professional photograph of ",
+    suffix: ", natural lighting, shallow depth of field, sharp focus, realistic textures",
+    negative: "illustration, cartoon, painting, CGI look, distorted anatomy",
+  },
+  "flat-vector": {
+    description: "扁平矢量插画",
+    prefix: "Flat vector illustration of ",
+    suffix: ", clean geometric shapes, limited color palette, solid fills, crisp edges",
+    negative: "gradients, photorealism, texture noise, 3D shading",
+  },
+  watercolor: {
+    description: "水彩画",
+    prefix: "A watercolor painting of ",
+    suffix: ", soft washes, visible paper texture, gentle color bleeding",
+    negative: "hard digital edges, photorealism, heavy outlines",
+  },
+  anime: {
+    description: "日系动画",
+    prefix: "Anime style illustration of ",
+    suffix: ", cel shading, vibrant colors, expressive characters, detailed background",
+    negative: "photorealism, western cartoon style, blurry lines",
+  },
+  "pixel-art": {
+    description: "像素画",
+    prefix: "Pixel art of ",
+    suffix: ", 16-bit retro game style, limited palette, crisp pixels",
+    negative: "anti-aliasing, smooth gradients, photorealism",
+    size: "1024x1024",
+  },
+  "3d-render": {
+    description: "3D 渲染",
+    prefix: "A 3D render of ",
+    suffix: ", soft studio lighting, physically based materials, subtle ambient occlusion",
+    negative: "flat illustration, sketch lines, low-poly artifacts",
+  },
+  sketch: {
+    description: "铅笔素描",
+    prefix: "A detailed pencil sketch of ",
+    suffix: ", graphite shading, cross-hatching, white paper background",
+    negative: "color, digital painting, photorealism",
+  },
+};
+
+/**
+ * 读取用户自定义预设（文件不存在时返回空对象）
+ * @returns {Record<string, Object>}
+ */
+function loadStylesFile() {
+  const filePath = config.stylesFile;
+  try {
+    if (!fs.existsSync(filePath)) return {};
+    const data = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    return data?.styles && typeof data.styles === "object" ? data.styles : {};
+  } catch (err) {
+    throw new Error(`读取风格预设文件失败: ${filePath} (${err.message})`);
+  }
+}
+
+/**
+ * 规范化预设字段
+ * @returns {StylePreset}
+ */
+function toPreset(name, raw, builtin) {
+  const str = (value) => (typeof value === "string" ? value : "");
+  return {
+    name,
+    description: str(raw.description),
+    prefix: str(raw.prefix),
+    suffix: str(raw.suffix),
+    negative: str(raw.negative),
+    size: str(raw.size ?? raw.defaultSize).trim(),
+    model: str(raw.model).trim(),
+    builtin,
+  };
+}
+
+/**
+ * 列出所有预设（内置在前，用户预设覆盖同名内置预设）
+ * @returns {StylePreset[]}
+ */
+export function listStyles() {
+  const userStyles = loadStylesFile();
+  const presets = new Map();
+  for (const [name, raw] of Object.entries(BUILTIN_STYLES)) {
+    presets.set(name, toPreset(name, raw, true));
+  }
+  for (const [name, raw] of Object.entries(userStyles)) {
+    if (raw && typeof raw === "object") presets.set(name, toPreset(name, raw, false));
+  }
+  return [...presets.values()];
+}
+
+/**
+ * 根据名称查找预设
+ * @param {string | null | undefined} name
+ * @returns {StylePreset | null} 未指定名称时返回 null
+ * @throws {Error} 预设不存在
+ */
+export function resolveStyle(name) {
+  const styleName = String(name ?? "").trim();
+  if (!styleName) return null;
+
+  const styles = listStyles();
+  const preset = styles.find((s) => s.name === styleName);
+  if (!preset) {
+    throw new Error(`未知的风格预设: ${styleName}（可用: ${styles.map((s) => s.name).join(", ")}）`);
+  }
+  debugLog(`[style] 使用风格预设: ${styleName}`);
+  return preset;
+}
+
+/**
+ * 将预设应用到 prompt：前缀 + prompt + 后缀，需要避免的内容以 "Avoid:" 附在末尾
+ * （各后端都没有独立的 negative prompt 参数）
+ * @param {string} prompt
+ * @param {StylePreset | null} preset
+ * @returns {string}
+ */
+export function applyStyle(prompt, preset) {
+  if (!preset) return prompt;
+  const styled = `${preset.prefix}${prompt}${preset.suffix}`.trim();
+  return preset.negative.trim() ? `${styled}\n\nAvoid: ${preset.negative.trim()}` : styled;
+}
+
+// ============ MCP prompts ============
+
+/**
+ * 预设对应的 MCP prompt 定义（prompts/list）
+ * @param {StylePreset} preset
+ * @returns {Object}
+ */
+export function toMcpPrompt(preset) {
+  const details = [
+    preset.description,
+    preset.size ? `默认尺寸 ${preset.size}` : "",
+    preset.model ? `模型 ${preset.model}` : "",
+  ].filter(Boolean);
+  return {
+    name: preset.name,
+    title: preset.description || preset.name,
+    description: `${details.join("，")}${preset.builtin ? "" : "（自定义）"}`,
+    arguments: [{ name: "subject", description: "要生成的内容，例如：一只在窗台上晒太阳的橘猫", required: true }],
+  };
+}
+
+/**
+ * 生成使用预设的提示消息（prompts/get）
+ * @param {StylePreset} preset
+ * @param {string} subject - 要生成的内容
+ * @returns {Array<Object>}
+ */
+export function buildStylePromptMessages(preset, subject) {
+  const text = [
+    `请调用 generate_image 工具生成图片，参数如下：`,
+    `- style: "${preset.name}"`,
+    `- prompt: ${subject}`,
+    ``,
+    `风格预设会自动补充风格描述${preset.size ? `并默认使用 ${preset.size} 尺寸` : ""}，prompt 中只需描述画面内容。`,
+  ].join("\n");
+  return [{ role: "user", content: { type: "text", text } }];
+}
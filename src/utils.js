@@ -2,9 +2,11 @@
  * 工具函数模块 - 通用辅助函数
  */
 import fs from "node:fs/promises";
+import fsSync from "node:fs";
 import path from "node:path";
 import os from "node:os";
 import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
 import { config } from "./config.js";
 
 // ============ 日志工具 ============
@@ -42,6 +44,32 @@ export function debugLog(...args) {
   }
 }
 
+// ============ 进度通知工具 ============
+/**
+ * 创建进度上报函数
+ * 请求未携带 _meta.progressToken 时返回空操作；progress 每次调用自增，保证单调递增
+ * @param {Object} extra - MCP 请求处理器的 extra 参数
+ * @returns {(message: string) => void}
+ */
+export function createProgressReporter(extra) {
+  const progressToken = extra?._meta?.progressToken;
+  if (progressToken === undefined || typeof extra?.sendNotification !== "function") {
+    return () => {};
+  }
+
+  let progress = 0;
+  return (message) => {
+    progress += 1;
+    debugLog(`[progress] #${progress} ${message}`);
+    extra
+      .sendNotification({
+        method: "notifications/progress",
+        params: { progressToken, progress, message },
+      })
+      .catch(() => {});
+  };
+}
+
 // ============ 数值解析工具 ============
 /**
  * 安全解析整数，失败返回默认值
@@ -59,6 +87,15 @@ export function clampInt(value, min, max) {
   return Math.max(min, Math.min(max, n));
 }
 
+// ============ 文本处理工具 ============
+/**
+ * 截断过长的文本（上游错误页可能是整段 HTML）
+ */
+export function truncate(text, maxLength) {
+  const s = String(text ?? "");
+  return s.length > maxLength ? `${s.slice(0, maxLength)}…` : s;
+}
+
 // ============ URL 处理工具 ============
 /**
  * 规范化 Base URL
@@ -93,6 +130,22 @@ export function extFromMime(mimeType) {
   return mimeMap[mime] ?? "png";
 }
 
+/**
+ * 根据文件头（magic bytes）识别图片 MIME 类型，无法识别返回 null
+ * @param {Buffer} buffer
+ * @returns {string | null}
+ */
+export function detectImageMime(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  if (buffer[0] === 0x89 && buffer.toString("ascii", 1, 4) === "PNG") return "image/png";
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "image/jpeg";
+  if (buffer.toString("ascii", 0, 4) === "GIF8") return "image/gif";
+  if (buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") {
+    return "image/webp";
+  }
+  return null;
+}
+
 /**
  * 解析 Data URL
  */
@@ -127,6 +180,13 @@ export function isValidBase64(str) {
   }
 }
 
+/**
+ * 格式化参考图标注（放在对应图片之前，便于模型按序号/名称引用）
+ */
+export function formatImageLabel(label, index) {
+  return `[图片 ${index + 1}] ${label}`;
+}
+
 // ============ 路径处理工具 ============
 /**
  * 获取默认图片目录
@@ -160,22 +220,59 @@ export async function getDefaultPicturesDir() {
   return path.join(home, "Pictures");
 }
 
+/**
+ * 展开 ~ 开头的路径 (Home 目录)
+ */
+export function expandHomeDir(rawPath) {
+  const p = String(rawPath ?? "").trim();
+  return p.startsWith("~") ? path.join(os.homedir(), p.slice(1)) : p;
+}
+
 /**
  * 解析输出目录路径
  */
 export function resolveOutDir(rawOutDir) {
-  let outDir = String(rawOutDir ?? "").trim();
+  const outDir = expandHomeDir(rawOutDir);
   if (!outDir) return "";
 
-  // 处理 ~ 路径 (Home 目录)
-  if (outDir.startsWith("~")) {
-    outDir = path.join(os.homedir(), outDir.slice(1));
-  }
-
   if (path.isAbsolute(outDir)) return outDir;
   return path.resolve(process.cwd(), outDir);
 }
 
+/**
+ * 判断字符串是否像本地文件路径（绝对路径、~ 路径或 file:// URI）
+ * 注：JPEG 的 base64 以 "/9j/" 开头，看起来也像绝对路径，因此按长度排除
+ */
+export function isLocalImagePath(raw) {
+  const s = String(raw ?? "").trim();
+  if (!s || s.length > 4096) return false;
+  if (/^file:\/\//i.test(s) || s.startsWith("~")) return true;
+  return path.isAbsolute(s) || /^[a-zA-Z]:[\\/]/.test(s);
+}
+
+/**
+ * 读取本地图片文件并转为 base64（MIME 类型根据文件内容识别）
+ * @param {string} rawPath - 绝对路径、~ 路径或 file:// URI
+ * @returns {Promise<{base64: string, mimeType: string}>}
+ */
+export async function readLocalImageAsBase64(rawPath) {
+  const s = String(rawPath ?? "").trim();
+  const filePath = /^file:\/\//i.test(s) ? fileURLToPath(s) : resolveOutDir(s);
+
+  let buffer;
+  try {
+    buffer = await fs.readFile(filePath);
+  } catch (err) {
+    throw new Error(`读取本地图片失败: ${toDisplayPath(filePath)} (${err.code || err.message})`);
+  }
+
+  const mimeType = detectImageMime(buffer);
+  if (!mimeType) {
+    throw new Error(`不支持的图片格式: ${toDisplayPath(filePath)}（仅支持 PNG/JPEG/WebP/GIF）`);
+  }
+  return { base64: buffer.toString("base64"), mimeType };
+}
+
 /**
  * 转换为显示路径（统一使用正斜杠）
  */
@@ -192,6 +289,29 @@ export function formatDateForFilename(date) {
   return `${d.getFullYear()}${pad2(d.getMonth() + 1)}${pad2(d.getDate())}-${pad2(d.getHours())}${pad2(d.getMinutes())}${pad2(d.getSeconds())}`;
 }
 
+/** 无法通过 NFKD 分解的拉丁字母 */
+const LATIN_TRANSLITERATIONS = {
+  ß: "ss", æ: "ae", œ: "oe", ø: "o", đ: "d", ð: "d", ł: "l", þ: "th", ı: "i",
+};
+
+/**
+ * 将文本转为适合作为文件名的 slug
+ * 只保留 ASCII 字母和数字：拉丁字母去掉变音符号（é → e），其余字符（包括中文等无法转写的文字）替换为 "-"
+ * @param {string} text
+ * @param {number} [maxLength=40] - 最大长度
+ * @returns {string} 没有可用的 ASCII 字符时为空字符串，由调用方决定回退名称
+ */
+export function slugify(text, maxLength = 40) {
+  const slug = String(text ?? "")
+    .normalize("NFKD")
+    .replace(/\p{M}+/gu, "")
+    .toLowerCase()
+    .replace(/[ßæœøđðłþı]/g, (c) => LATIN_TRANSLITERATIONS[c])
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return slug.slice(0, maxLength).replace(/-+$/, "");
+}
+
 /**
  * 生成批次 ID
  */
@@ -199,48 +319,168 @@ export function generateBatchId() {
   return `${formatDateForFilename(new Date())}-${crypto.randomBytes(4).toString("hex")}`;
 }
 
+// ============ 本地 JSON 文件工具 ============
+/**
+ * 创建保存在会话存储目录上一级的 JSON 文件（默认 ~/.gemini-images/{fileName}）
+ * 首次 load 时从文件读取，之后直接修改返回的数据再调用 save；未启用持久化时仅使用内存
+ * @template T
+ * @param {string} fileName
+ * @param {Object} options
+ * @param {() => T} options.initial - 文件不存在或内容无效时的初始数据
+ * @param {(data: unknown) => boolean} options.isValid - 文件内容是否可用
+ * @param {string} options.tag - 日志前缀，如 "mode-cache"
+ * @param {string} options.label - 日志中的文件描述，如 "缓存文件"
+ * @returns {{load: () => T, save: () => void}}
+ */
+export function createJsonFileStore(fileName, { initial, isValid, tag, label }) {
+  /** @type {T | null} */
+  let data = null;
+  const getFilePath = () => path.join(path.dirname(config.sessionStorageDir), fileName);
+
+  return {
+    load() {
+      if (data) return data;
+      data = initial();
+      if (!config.sessionPersistEnabled) return data;
+
+      const filePath = getFilePath();
+      try {
+        if (fsSync.existsSync(filePath)) {
+          const parsed = JSON.parse(fsSync.readFileSync(filePath, "utf-8"));
+          if (isValid(parsed)) data = parsed;
+        }
+      } catch (err) {
+        debugLog(`[${tag}] 加载${label}失败: ${err.message}`);
+      }
+      return data;
+    },
+
+    save() {
+      if (!config.sessionPersistEnabled || !data) return;
+
+      const filePath = getFilePath();
+      try {
+        fsSync.mkdirSync(path.dirname(filePath), { recursive: true });
+        fsSync.writeFileSync(filePath, JSON.stringify(data, null, 2), "utf-8");
+      } catch (err) {
+        debugLog(`[${tag}] 保存${label}失败: ${err.message}`);
+      }
+    },
+  };
+}
+
 // ============ 网络请求工具 ============
+/**
+ * 可取消的延时
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new CancelledError());
+    const onCancel = () => {
+      clearTimeout(timer);
+      reject(new CancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onCancel);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onCancel, { once: true });
+  });
+}
+
+/**
+ * 调用方已取消时抛出 CancelledError
+ * @param {AbortSignal} [signal]
+ */
+export function throwIfCancelled(signal) {
+  if (signal?.aborted) throw new CancelledError();
+}
+
 /**
  * 带超时的 fetch 请求
+ * init.signal 为调用方的取消信号（如 MCP notifications/cancelled），与超时共用同一个 AbortController
  */
-export async function fetchWithTimeout(url, init, timeoutMs) {
+export async function fetchWithTimeout(url, init = {}, timeoutMs) {
+  const { signal, ...rest } = init;
+  throwIfCancelled(signal);
+
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  const onCancel = () => controller.abort();
+  signal?.addEventListener("abort", onCancel, { once: true });
   try {
-    return await fetch(url, { ...init, signal: controller.signal });
+    return await fetch(url, { ...rest, signal: controller.signal });
   } catch (err) {
+    if (signal?.aborted) throw new CancelledError();
     if (err.name === "AbortError") {
       throw new Error(`请求超时（${Math.round(timeoutMs / 1000)}秒），请检查网络或增加 OPENAI_TIMEOUT_MS`);
     }
     throw new Error(`网络请求失败: ${err.message || err}`);
   } finally {
     clearTimeout(timeout);
+    signal?.removeEventListener("abort", onCancel);
   }
 }
 
 /**
  * 从 URL 获取图片并转为 base64
  */
-export async function fetchUrlAsBase64(url, timeoutMs) {
-  const res = await fetchWithTimeout(url, { method: "GET" }, timeoutMs);
+export async function fetchUrlAsBase64(url, timeoutMs, signal) {
+  const res = await fetchWithTimeout(url, { method: "GET", signal }, timeoutMs);
   if (!res.ok) {
     const body = await res.text().catch(() => "");
     throw new Error(`拉取图片失败: HTTP ${res.status} ${body}`);
   }
   const mimeTypeHeader = res.headers.get("content-type") ?? "image/png";
-  const mimeType = mimeTypeHeader.split(";")[0].trim() || "image/png";
-  const arrayBuffer = await res.arrayBuffer();
-  const base64 = Buffer.from(arrayBuffer).toString("base64");
-  return { base64, mimeType };
+  const buffer = Buffer.from(await res.arrayBuffer());
+  // 优先根据内容识别，部分 CDN 返回的 content-type 不可靠（如 application/octet-stream）
+  const mimeType = detectImageMime(buffer) ?? (mimeTypeHeader.split(";")[0].trim() || "image/png");
+  return { base64: buffer.toString("base64"), mimeType };
 }
 
 // ============ 自定义错误类 ============
 export class HttpError extends Error {
-  constructor(message, { status, url, body }) {
+  constructor(message, { status, url, body, retryAfter }) {
     super(message);
     this.name = "HttpError";
     this.status = status;
     this.url = url;
     this.body = body;
+    this.retryAfter = retryAfter ?? null; // 原始 Retry-After 响应头
+  }
+}
+
+export class CancelledError extends Error {
+  constructor(message = "请求已被客户端取消") {
+    super(message);
+    this.name = "CancelledError";
+  }
+}
+
+/**
+ * 内容被安全策略拦截（Gemini promptFeedback / finishReason，OpenAI content_filter 等）
+ * category: prompt_blocked | safety | prohibited_content | image_safety | recitation | blocklist | spii | content_filter
+ */
+export class ContentBlockedError extends Error {
+  constructor(message, { category, reason, safetyRatings = [], modelText = "" }) {
+    super(message);
+    this.name = "ContentBlockedError";
+    this.category = category;
+    this.reason = reason;
+    this.safetyRatings = safetyRatings;
+    this.modelText = modelText;
+  }
+}
+
+/**
+ * MCP 资源不存在（resources/read 时 URI 无法解析或对应的数据已被清理）
+ */
+export class ResourceNotFoundError extends Error {
+  constructor(uri, message = `资源不存在: ${uri}`) {
+    super(message);
+    this.name = "ResourceNotFoundError";
+    this.uri = uri;
   }
 }
@@ -0,0 +1,189 @@
+/**
+ * Vertex AI 鉴权模块 - 使用服务账号密钥签发 JWT 并换取 OAuth access token
+ *
+ * 流程（OAuth 2.0 JWT Bearer，RFC 7523）：
+ * 1. 读取服务账号 JSON 密钥（client_email、private_key、token_uri）
+ * 2. 用 private_key 以 RS256 签名 JWT 断言
+ * 3. POST 到 token 端点换取 access_token，缓存到过期前 5 分钟
+ */
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import { config } from "./config.js";
+import { debugLog, fetchWithTimeout, resolveOutDir, throwIfCancelled, CancelledError, HttpError } from "./utils.js";
+
+const DEFAULT_TOKEN_URL = "https://oauth2.googleapis.com/token";
+const SCOPE = "https://www.googleapis.com/auth/cloud-platform";
+const TOKEN_LIFETIME_SECONDS = 3600;
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * @typedef {Object} CachedToken
+ * @property {string} accessToken
+ * @property {number} expiresAt - 过期时间（毫秒时间戳）
+ * @property {string} projectId - 密钥中的 project_id
+ */
+
+/** @type {Map<string, CachedToken>} 按 密钥文件 + token 端点 缓存 */
+const tokenCache = new Map();
+
+/** @type {Map<string, Promise<CachedToken>>} 进行中的刷新请求（并发生成时只刷新一次） */
+const pendingRefreshes = new Map();
+
+/**
+ * base64url 编码
+ */
+function base64url(input) {
+  return Buffer.from(input).toString("base64url");
+}
+
+/**
+ * 读取服务账号密钥
+ */
+async function loadServiceAccountKey(credentialsFile) {
+  const filePath = resolveOutDir(credentialsFile);
+  let key;
+  try {
+    key = JSON.parse(await fs.readFile(filePath, "utf-8"));
+  } catch (err) {
+    throw new Error(`读取服务账号密钥失败: ${filePath} (${err.code || err.message})`);
+  }
+  if (!key?.client_email || !key?.private_key) {
+    throw new Error(`服务账号密钥缺少 client_email 或 private_key: ${filePath}`);
+  }
+  return key;
+}
+
+/**
+ * 签发 JWT 断言
+ * @param {{client_email: string, private_key: string, private_key_id?: string}} key
+ * @param {string} audience - token 端点
+ */
+export function signJwtAssertion(key, audience) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = { alg: "RS256", typ: "JWT", ...(key.private_key_id ? { kid: key.private_key_id } : {}) };
+  const claims = {
+    iss: key.client_email,
+    scope: SCOPE,
+    aud: audience,
+    iat: now,
+    exp: now + TOKEN_LIFETIME_SECONDS,
+  };
+
+  const unsigned = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(claims))}`;
+  const signature = crypto.sign("RSA-SHA256", Buffer.from(unsigned), key.private_key);
+  return `${unsigned}.${base64url(signature)}`;
+}
+
+/**
+ * 向 token 端点换取 access token
+ * @returns {Promise<CachedToken>}
+ */
+async function requestAccessToken(key, tokenUrl, timeoutMs) {
+  const assertion = signJwtAssertion(key, tokenUrl);
+  const body = new URLSearchParams({
+    grant_type: "urn:ietf:params:oauth:grant-type:jwt-bearer",
+    assertion,
+  });
+
+  debugLog(`[vertex] 请求 access token: ${tokenUrl} (${key.client_email})`);
+
+  const res = await fetchWithTimeout(
+    tokenUrl,
+    {
+      method: "POST",
+      headers: { "content-type": "application/x-www-form-urlencoded" },
+      body: body.toString(),
+    },
+    timeoutMs
+  );
+
+  if (!res.ok) {
+    const text = await res.text().catch(() => "");
+    throw new HttpError(`获取 Vertex AI access token 失败: HTTP ${res.status} ${text}`, {
+      status: res.status,
+      url: tokenUrl,
+      body: text,
+      retryAfter: res.headers.get("retry-after"),
+    });
+  }
+
+  const json = await res.json();
+  if (typeof json?.access_token !== "string" || !json.access_token) {
+    throw new Error("token 端点未返回 access_token");
+  }
+  const expiresIn = Number(json.expires_in) || TOKEN_LIFETIME_SECONDS;
+  return {
+    accessToken: json.access_token,
+    expiresAt: Date.now() + expiresIn * 1000,
+    projectId: key.project_id ?? "",
+  };
+}
+
+/**
+ * 生成 token 缓存键
+ */
+function getTokenCacheKey(credentialsFile, tokenUrl) {
+  return `${credentialsFile || config.vertexCredentialsFile}|${tokenUrl || config.vertexTokenUrl}`;
+}
+
+/**
+ * 使缓存的 token 失效（上游返回 401 时调用，下次请求重新签发）
+ */
+export function invalidateVertexAccessToken({ credentialsFile, tokenUrl }) {
+  tokenCache.delete(getTokenCacheKey(credentialsFile, tokenUrl));
+}
+
+/**
+ * 获取 Vertex AI access token（带缓存，过期前自动刷新）
+ * @param {Object} options
+ * @param {string} [options.credentialsFile] - 服务账号 JSON 密钥路径，默认 VERTEX_CREDENTIALS_FILE / GOOGLE_APPLICATION_CREDENTIALS
+ * @param {string} [options.tokenUrl] - token 端点，默认 VERTEX_TOKEN_URL / 密钥中的 token_uri
+ * @param {AbortSignal} [options.signal] - 只取消本次调用的等待，不影响共用的刷新请求
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{accessToken: string, projectId: string}>}
+ */
+export async function getVertexAccessToken({ credentialsFile, tokenUrl, timeoutMs, signal }) {
+  const keyFile = credentialsFile || config.vertexCredentialsFile;
+  if (!keyFile) {
+    throw new Error("Vertex AI 模式需要服务账号密钥，请设置 VERTEX_CREDENTIALS_FILE 或 GOOGLE_APPLICATION_CREDENTIALS");
+  }
+
+  const explicitTokenUrl = tokenUrl || config.vertexTokenUrl;
+  const cacheKey = getTokenCacheKey(keyFile, explicitTokenUrl);
+
+  const cached = tokenCache.get(cacheKey);
+  if (cached && cached.expiresAt - Date.now() > REFRESH_MARGIN_MS) {
+    return cached;
+  }
+
+  // 刷新请求由并发的调用共用，不绑定某一个调用的取消信号，只受超时限制
+  if (!pendingRefreshes.has(cacheKey)) {
+    const refresh = (async () => {
+      const key = await loadServiceAccountKey(keyFile);
+      const endpoint = explicitTokenUrl || key.token_uri || DEFAULT_TOKEN_URL;
+      const token = await requestAccessToken(key, endpoint, timeoutMs);
+      tokenCache.set(cacheKey, token);
+      return token;
+    })().finally(() => pendingRefreshes.delete(cacheKey));
+    pendingRefreshes.set(cacheKey, refresh);
+  }
+
+  return await waitUnlessCancelled(pendingRefreshes.get(cacheKey), signal);
+}
+
+/**
+ * 等待共用的刷新请求；调用方取消时只放弃自己的等待，刷新请求继续供其他调用使用
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<T>}
+ */
+function waitUnlessCancelled(promise, signal) {
+  if (!signal) return promise;
+  throwIfCancelled(signal);
+  return new Promise((resolve, reject) => {
+    const onCancel = () => reject(new CancelledError());
+    signal.addEventListener("abort", onCancel, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onCancel));
+  });
+}